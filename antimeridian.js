@@ -0,0 +1,410 @@
+/**
+ * Longitudes and latitudes out of range, and geometries crossing
+ * the antimeridian, see RFC 7946 section 3.1.9.
+ *
+ * In the 'split' mode the polygon rings are unwrapped by shpRecord
+ * before their outer/inner roles are determined, i.e. their
+ * longitudes are made continuous, possibly going beyond ±180.
+ * A segment longer than 180 degrees of longitude is taken
+ * for a crossing of the antimeridian.
+ */
+
+export const antimeridianModes = ['clamp', 'split'];
+
+/**
+ * Makes the longitudes of the ring continuous, the first one is
+ * brought into the range [-180, 180]. The ring around a pole
+ * (gaining 360 degrees of longitude) is closed through the pole.
+ * @param {GeoJSON.Position[]} ring
+ * @returns {GeoJSON.Position[]}
+ */
+export function unwrapRing(ring) {
+    const line = unwrap(ring);
+    const l = line.length - 1;
+    if (l < 1)
+        return line;
+    const turns = Math.round((line[l][0] - line[0][0]) / 360);
+    if (turns != 0 && line[l][1] == line[0][1]) {
+        // the pole nearest to the ring
+        const pole = line.reduce((s, p) => s + p[1], 0) > 0 ? 90 : -90;
+        const first = line[0];
+        line.push(withXY(line[l], line[l][0], pole), withXY(first, first[0], pole), first.slice());
+    }
+    return line;
+}
+
+/**
+ * Shifts the ring by a multiple of 360 degrees of longitude
+ * to bring its bbox center closest to the target bbox center.
+ * Both the ring and its bbox are changed.
+ * @param {GeoJSON.Position[]} ring
+ * @param {number[]} bbox of the ring
+ * @param {number[]} target bbox
+ */
+export function alignRing(ring, bbox, target) {
+    const shift = 360 * Math.round((target[0] + target[2] - bbox[0] - bbox[2]) / 720);
+    if (shift == 0)
+        return;
+    for (const p of ring)
+        p[0] += shift;
+    bbox[0] += shift;
+    bbox[2] += shift;
+}
+
+/**
+ * Brings the geometry and the bbox of the feature into the ranges
+ * of longitudes and latitudes. The 'clamp' mode clamps the coordinates,
+ * the 'split' mode normalizes the longitudes and splits the lines and
+ * polygons crossing the antimeridian. The feature bbox of the crossing
+ * geometry then has west > east.
+ * @param {GeoJSON.Feature} feature
+ * @param {string} mode 'clamp' or 'split'
+ * @returns {GeoJSON.Feature}
+ */
+export function antimeridian(feature, mode) {
+    const geometry = feature.geometry;
+    if (!geometry)
+        return feature;
+    if (mode == 'clamp') {
+        const clamp = (p) => {
+            p[0] = Math.min(180, Math.max(-180, p[0]));
+            p[1] = Math.min(90, Math.max(-90, p[1]));
+        };
+        positions(geometry).forEach(clamp);
+        if (feature.bbox)
+            antimeridianBBox(feature.bbox, mode);
+        return feature;
+    }
+    /** @type {GeoJSON.Position[][]} parts for the bbox */
+    let parts;
+    switch (geometry.type) {
+        case 'Point':
+            geometry.coordinates = normalize(geometry.coordinates);
+            parts = [[geometry.coordinates]];
+            break;
+        case 'MultiPoint':
+            geometry.coordinates = geometry.coordinates.map(normalize);
+            parts = geometry.coordinates.map(p => [p]);
+            break;
+        case 'LineString':
+        case 'MultiLineString': {
+            const lines = geometry.type == 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+            parts = lines.flatMap(splitLine);
+            if (parts.length == 0)
+                break;      // no positions, nothing to split
+            geometry.type = parts.length == 1 ? 'LineString' : 'MultiLineString';
+            geometry.coordinates = parts.length == 1 ? parts[0] : parts;
+            break;
+        }
+        case 'Polygon':
+        case 'MultiPolygon': {
+            const polygons = geometry.type == 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+            const split = polygons.map(splitPolygon);
+            const result = split.flat();
+            if (geometry.partTypes)
+                geometry.partTypes = geometry.partTypes.flatMap((t, i) => split[i].map(() => t));
+            parts = result.map(rings => rings[0]);
+            if (result.length == 0) {
+                feature.geometry = null;
+                delete feature.bbox;
+                return feature;
+            }
+            geometry.type = result.length == 1 ? 'Polygon' : 'MultiPolygon';
+            geometry.coordinates = result.length == 1 ? result[0] : result;
+            break;
+        }
+        default:
+            return feature;
+    }
+    if (feature.bbox && parts.length > 0) {
+        const [west, east] = lonRange(parts);
+        let south = 90, north = -90;
+        for (const part of parts) {
+            for (const p of part) {
+                south = Math.min(south, p[1]);
+                north = Math.max(north, p[1]);
+            }
+        }
+        feature.bbox.splice(0, 4, west, south, east, north);
+    }
+    return feature;
+}
+
+/**
+ * Brings the bbox into the ranges of longitudes and latitudes.
+ * In the 'split' mode the bbox crossing the antimeridian gets west > east.
+ * @param {number[]} bbox changed in place
+ * @param {string} mode 'clamp' or 'split'
+ */
+export function antimeridianBBox(bbox, mode) {
+    const [w, s, e, n] = bbox;
+    bbox[1] = Math.max(-90, s);
+    bbox[3] = Math.min(90, n);
+    if (mode == 'clamp' || e - w >= 360) {
+        bbox[0] = Math.max(-180, w);
+        bbox[2] = Math.min(180, e);
+        if (e - w >= 360) {
+            bbox[0] = -180;
+            bbox[2] = 180;
+        }
+        return;
+    }
+    bbox[0] = normalizeLon(w);
+    bbox[2] = normalizeLon(e);
+    if (bbox[2] == -180 && e > w)
+        bbox[2] = 180;
+}
+
+/**
+ * @param {number} x
+ */
+function normalizeLon(x) {
+    if (x >= -180 && x <= 180)
+        return x;
+    return x - 360 * Math.round(x / 360);
+}
+
+/**
+ * @param {GeoJSON.Position} p
+ */
+function normalize(p) {
+    return withXY(p, normalizeLon(p[0]), Math.min(90, Math.max(-90, p[1])));
+}
+
+/**
+ * Copy of the position with new x and y.
+ * @param {GeoJSON.Position} p
+ * @param {number} x
+ * @param {number} y
+ */
+function withXY(p, x, y) {
+    const q = p.slice();
+    q[0] = x;
+    q[1] = y;
+    return q;
+}
+
+/**
+ * All positions of the geometry.
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {GeoJSON.Position[]}
+ */
+function positions(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return [geometry.coordinates];
+        case 'MultiPoint':
+        case 'LineString':
+            return geometry.coordinates;
+        case 'MultiLineString':
+        case 'Polygon':
+            return geometry.coordinates.flat();
+        case 'MultiPolygon':
+            return geometry.coordinates.flat(2);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Copy of the line with continuous longitudes, the first one
+ * brought into the range [-180, 180], and latitudes clamped.
+ * @param {GeoJSON.Position[]} line
+ */
+function unwrap(line) {
+    if (line.length == 0)
+        return [];
+    let prev = normalizeLon(line[0][0]);
+    let shift = prev - line[0][0];
+    return line.map(p => {
+        let x = p[0] + shift;
+        const turns = Math.round((x - prev) / 360);
+        x -= 360 * turns;
+        shift -= 360 * turns;
+        prev = x;
+        return withXY(p, x, Math.min(90, Math.max(-90, p[1])));
+    });
+}
+
+/**
+ * The number of the 360 degrees wide "world" containing the longitude,
+ * the world 0 is [-180, 180].
+ * @param {number} x
+ */
+function world(x) {
+    return Math.floor((x + 180) / 360);
+}
+
+/**
+ * Copy of the positions shifted from the world k into the world 0.
+ * @param {GeoJSON.Position[]} line
+ * @param {number} k
+ */
+function toWorld0(line, k) {
+    return line.map(p => withXY(p, p[0] - 360 * k, p[1]));
+}
+
+/**
+ * Point of the segment pq at the longitude x, the other coordinates
+ * are interpolated.
+ * @param {GeoJSON.Position} p
+ * @param {GeoJSON.Position} q
+ * @param {number} x
+ */
+function cut(p, q, x) {
+    const t = (x - p[0]) / (q[0] - p[0]);
+    const c = p.map((v, i) => v + t * (q[i] - v));
+    c[0] = x;
+    return c;
+}
+
+/**
+ * Appends the point to the line unless it repeats the last one.
+ * @param {GeoJSON.Position[]} line
+ * @param {GeoJSON.Position} p
+ */
+function append(line, p) {
+    const last = line[line.length - 1];
+    if (!last || last[0] != p[0] || last[1] != p[1])
+        line.push(p);
+}
+
+/**
+ * Splits the line at the antimeridian.
+ * @param {GeoJSON.Position[]} line
+ * @returns {GeoJSON.Position[][]}
+ */
+function splitLine(line) {
+    const u = unwrap(line);
+    if (u.length == 0)
+        return [];
+    const parts = [];
+    let part = [u[0]];
+    let k = world(u[0][0]);
+    for (let i = 1; i < u.length; i++) {
+        const p = u[i - 1], q = u[i];
+        // the points on the edge stay in the current world
+        while (q[0] > 360 * k + 180 || q[0] < 360 * k - 180) {
+            const edge = q[0] > p[0] ? 360 * k + 180 : 360 * k - 180;
+            const c = cut(p, q, edge);
+            append(part, c);
+            parts.push(toWorld0(part, k));
+            k += q[0] > p[0] ? 1 : -1;
+            part = [c];
+        }
+        append(part, q);
+    }
+    parts.push(toWorld0(part, k));
+    const lines = parts.filter(part => part.length > 1);
+    // the line of repeated points is kept unsplit
+    return lines.length > 0 ? lines : [toWorld0(u, world(u[0][0]))];
+}
+
+/**
+ * Clips the ring by the half-plane x >= a (dir = 1) or x <= a (dir = -1),
+ * Sutherland-Hodgman algorithm.
+ * @param {GeoJSON.Position[]} ring closed
+ * @param {number} a
+ * @param {number} dir
+ * @returns {GeoJSON.Position[]} closed or empty
+ */
+function clipRing(ring, a, dir) {
+    const inside = (p) => dir * (p[0] - a) >= 0;
+    const out = [];
+    for (let i = 0; i < ring.length - 1; i++) {
+        const p = ring[i], q = ring[i + 1];
+        if (inside(p)) {
+            append(out, p);
+            if (!inside(q))
+                append(out, cut(p, q, a));
+        } else if (inside(q))
+            append(out, cut(p, q, a));
+    }
+    if (out.length < 3)
+        return [];
+    append(out, out[0].slice());
+    return out;
+}
+
+/**
+ * Signed area of the closed ring.
+ * @param {GeoJSON.Position[]} ring
+ */
+function area(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++)
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    return 0.5 * sum;
+}
+
+/**
+ * Splits the polygon with unwrapped rings at the antimeridian.
+ * @param {GeoJSON.Position[][]} rings the outer ring first
+ * @returns {GeoJSON.Position[][][]} polygons
+ */
+function splitPolygon(rings) {
+    const shell = rings[0];
+    let min = Infinity, max = -Infinity;
+    for (const p of shell) {
+        min = Math.min(min, p[0]);
+        max = Math.max(max, p[0]);
+    }
+    // the rings touching the edge stay in the world
+    const k0 = Math.ceil((min - 180) / 360);
+    const k1 = Math.floor((max + 180) / 360);
+    if (k0 >= k1)
+        return [rings.map(ring => toWorld0(ring, k0))];
+    const polygons = [];
+    for (let k = k0; k <= k1; k++) {
+        const clipped = [];
+        for (const ring of rings) {
+            const r = clipRing(clipRing(ring, 360 * k - 180, 1), 360 * k + 180, -1);
+            if (r.length >= 4 && area(r) != 0)
+                clipped.push(toWorld0(r, k));
+            else if (clipped.length == 0)
+                break;      // no outer ring in this world
+        }
+        if (clipped.length > 0)
+            polygons.push(clipped);
+    }
+    return polygons;
+}
+
+/**
+ * Longitude range of the parts, the shortest one covering them all.
+ * @param {GeoJSON.Position[][]} parts with longitudes in [-180, 180]
+ * @returns {number[]} [west, east], west > east if crossing the antimeridian
+ */
+function lonRange(parts) {
+    const intervals = parts.map(part => {
+        let lo = Infinity, hi = -Infinity;
+        for (const p of part) {
+            lo = Math.min(lo, p[0]);
+            hi = Math.max(hi, p[0]);
+        }
+        return [lo, hi];
+    }).sort((a, b) => a[0] - b[0]);
+    // merge overlapping intervals
+    const merged = [];
+    for (const [lo, hi] of intervals) {
+        const last = merged[merged.length - 1];
+        if (last && lo <= last[1])
+            last[1] = Math.max(last[1], hi);
+        else
+            merged.push([lo, hi]);
+    }
+    // the largest gap between them, possibly across the antimeridian
+    const n = merged.length;
+    let west = merged[0][0], east = merged[n - 1][1];
+    let gap = merged[0][0] + 360 - merged[n - 1][1];
+    for (let i = 1; i < n; i++) {
+        if (merged[i][0] - merged[i - 1][1] > gap) {
+            gap = merged[i][0] - merged[i - 1][1];
+            west = merged[i][0];
+            east = merged[i - 1][1];
+        }
+    }
+    if (gap <= 0)
+        return [-180, 180];
+    return [west, east];
+}
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+// Measures the throughput of SHPTransform and DBFTransform
+// on synthetic data generated on the fly, so that files
+// of many gigabytes need no disk space.
+
+import { SHPTransform, DBFTransform } from '../parser.js';
+import { parseArgs } from 'node:util';
+
+const usage = `
+Throughput benchmark.
+Options:
+  --size       Size of the data in MB, 1024 by default
+  --chunk      Chunk size in KB, 64 by default
+  --points     Points per polygon record, 100 by default;
+               a million makes 16 MB records spanning many chunks
+  --byob       Read the data with a BYOB reader reusing its buffer
+  -h, --help   Show this help and exit
+`;
+
+const { values: args } = parseArgs({
+    options: {
+        size: { type: 'string', default: '1024' },
+        chunk: { type: 'string', default: '64' },
+        points: { type: 'string', default: '100' },
+        byob: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h' }
+    }
+});
+if (args.help) {
+    console.log(usage);
+    process.exit(0);
+}
+const size = Number(args.size) * 1024 * 1024;
+const chunkSize = Number(args.chunk) * 1024;
+const points = Number(args.points);
+if (!(size > 0) || !(chunkSize > 0) || !(points >= 4))
+    quit('Invalid option');
+
+/**
+ * A polygon record with one clockwise ring.
+ * @param {number} n number of points
+ */
+function shpRecord(n) {
+    const length = 44 + 4 + 16 * n;
+    const dv = new DataView(new ArrayBuffer(8 + length));
+    dv.setInt32(4, length / 2);
+    dv.setInt32(8, 5, true);
+    [0, 0, 1, 1].forEach((v, i) => dv.setFloat64(12 + 8 * i, v, true));
+    dv.setInt32(44, 1, true);
+    dv.setInt32(48, n, true);
+    dv.setInt32(52, 0, true);
+    for (let i = 0; i < n; i++) {
+        const a = -2 * Math.PI * (i % (n - 1)) / (n - 1);
+        dv.setFloat64(56 + 16 * i, 0.5 + 0.5 * Math.cos(a), true);
+        dv.setFloat64(64 + 16 * i, 0.5 + 0.5 * Math.sin(a), true);
+    }
+    return new Uint8Array(dv.buffer);
+}
+
+/**
+ * @param {number} count of the records
+ * @param {number} reclen
+ */
+function shpHeader(count, reclen) {
+    const dv = new DataView(new ArrayBuffer(100));
+    dv.setInt32(0, 9994);
+    dv.setInt32(24, (100 + count * reclen) / 2);
+    dv.setInt32(28, 1000, true);
+    dv.setInt32(32, 5, true);
+    [0, 0, 1, 1].forEach((v, i) => dv.setFloat64(36 + 8 * i, v, true));
+    return new Uint8Array(dv.buffer);
+}
+
+/**
+ * DBF header with fields NAME C(20) and VALUE N(12,3).
+ * @param {number} count of the records
+ */
+function dbfHeader(count) {
+    const dv = new DataView(new ArrayBuffer(32 + 2 * 32 + 1));
+    const bytes = new Uint8Array(dv.buffer);
+    dv.setUint8(0, 0x03);
+    dv.setUint32(4, count, true);
+    dv.setUint16(8, bytes.length, true);
+    dv.setUint16(10, 1 + 20 + 12, true);
+    dv.setUint8(29, 0x57);
+    bytes.set(new TextEncoder().encode('NAME'), 32);
+    bytes[32 + 11] = 'C'.charCodeAt(0);
+    bytes[32 + 16] = 20;
+    bytes.set(new TextEncoder().encode('VALUE'), 64);
+    bytes[64 + 11] = 'N'.charCodeAt(0);
+    bytes[64 + 16] = 12;
+    bytes[64 + 17] = 3;
+    bytes[96] = 0x0d;
+    return bytes;
+}
+
+function dbfRecord() {
+    return new TextEncoder().encode(' ' + 'Some name'.padEnd(20) + '12345.678'.padStart(12));
+}
+
+/**
+ * Returns a byte stream of the header followed by the record repeated.
+ * @param {Uint8Array} header
+ * @param {Uint8Array} record
+ * @param {number} count
+ */
+function source(header, record, count) {
+    const total = header.length + count * record.length;
+    let pos = 0;
+    /** @param {Uint8Array} view */
+    const fill = (view) => {
+        const n = Math.min(view.length, total - pos);
+        let done = 0;
+        while (done < n) {
+            let bytes = header, at = pos;
+            if (pos >= header.length) {
+                bytes = record;
+                at = (pos - header.length) % record.length;
+            }
+            const k = Math.min(n - done, bytes.length - at);
+            view.set(bytes.subarray(at, at + k), done);
+            done += k;
+            pos += k;
+        }
+        return n;
+    };
+    return new ReadableStream({
+        type: 'bytes',
+        autoAllocateChunkSize: chunkSize,
+        pull(controller) {
+            if (pos >= total) {
+                controller.close();
+                controller.byobRequest?.respond(0);
+                return;
+            }
+            const view = controller.byobRequest.view;
+            controller.byobRequest.respond(fill(new Uint8Array(view.buffer, view.byteOffset, view.byteLength)));
+        }
+    });
+}
+
+/**
+ * Feeds the transform from the stream, returns the number of the objects produced.
+ * @param {ReadableStream} input
+ * @param {TransformStream} transform
+ */
+async function run(input, transform) {
+    let output = transform.readable;
+    if (!args.byob)
+        output = input.pipeThrough(transform);
+    else {
+        const reader = input.getReader({ mode: 'byob' });
+        const writer = transform.writable.getWriter();
+        (async () => {
+            let buffer = new ArrayBuffer(chunkSize);
+            while (true) {
+                const { value, done } = await reader.read(new Uint8Array(buffer));
+                if (done)
+                    break;
+                await writer.write(value);
+                buffer = value.buffer;      // reused
+            }
+            await writer.close();
+        })();
+    }
+    let count = 0;
+    for await (const obj of output) {
+        if (obj)
+            count++;
+    }
+    return count;
+}
+
+/**
+ * @param {string} name
+ * @param {() => ReadableStream} input
+ * @param {() => TransformStream} transform
+ * @param {number} expected number of the objects
+ */
+async function measure(name, input, transform, expected) {
+    let t = performance.now();
+    for await (const chunk of input())
+        void chunk;
+    const generated = (performance.now() - t) / 1000;
+    t = performance.now();
+    const count = await run(input(), transform());
+    const total = (performance.now() - t) / 1000;
+    if (count != expected)
+        quit(`${name}: ${count} records instead of ${expected}`);
+    const mb = size / 1024 / 1024;
+    const parsing = Math.max(total - generated, 1e-6);
+    console.log(`${name}: ${count} records, ${mb.toFixed(0)} MB in ${total.toFixed(2)} s, ` +
+        `${(mb / total).toFixed(1)} MB/s; without generating the data ${(mb / parsing).toFixed(1)} MB/s`);
+}
+
+const shprec = shpRecord(points);
+const shpcount = Math.max(1, Math.floor(size / shprec.length));
+const dbfrec = dbfRecord();
+const dbfcount = Math.floor(size / dbfrec.length);
+console.log(`chunks of ${chunkSize} bytes${args.byob ? ', BYOB reader' : ''}, ` +
+    `SHP records of ${shprec.length} bytes`);
+await measure('SHP', () => source(shpHeader(shpcount, shprec.length), shprec, shpcount),
+    () => SHPTransform(), shpcount);
+await measure('DBF', () => source(dbfHeader(dbfcount), dbfrec, dbfcount),
+    () => DBFTransform(), dbfcount);
+
+function quit(msg) {
+    console.error(msg);
+    process.exit(1);
+}
@@ -0,0 +1,106 @@
+/**
+ * Returns the input buffer of the transforms. The bytes are read
+ * in place from the current chunk; only the bytes left unread when
+ * the transform returns are copied, into a growable buffer, so that
+ * the chunk is not referenced afterwards and its buffer can be reused,
+ * as the BYOB readers do. The chunks can be ArrayBuffers or any views
+ * of them. Each byte is copied at most once.
+ * @param {string} name for the error messages
+ */
+export function chunkQueue(name) {
+    let store = new Uint8Array(0);  // own bytes, preceding the chunk
+    let start = 0;      // the bytes in the store are from start to end
+    let end = 0;
+    /** @type {Uint8Array | null} */
+    let chunk = null;   // the current chunk
+    let head = 0;       // bytes consumed in the chunk
+    let position = 0;   // bytes consumed since the start
+
+    /**
+     * Copies the bytes to the end of the store.
+     * @param {Uint8Array} bytes
+     */
+    function append(bytes) {
+        const len = end - start;
+        if (end + bytes.length > store.length) {
+            if (len + bytes.length <= store.length)
+                store.copyWithin(0, start, end);
+            else {
+                const size = Math.max(2 * store.length, len + bytes.length, 65536);
+                const tmp = new Uint8Array(size);
+                tmp.set(store.subarray(start, end));
+                store = tmp;
+            }
+            start = 0;
+            end = len;
+        }
+        store.set(bytes, end);
+        end += bytes.length;
+    }
+
+    return {
+        /** Number of bytes available. */
+        get length() {
+            return end - start + (chunk ? chunk.length - head : 0);
+        },
+        /** Number of bytes consumed since the start of the stream. */
+        get position() {
+            return position;
+        },
+        /**
+         * Makes the chunk the current one.
+         * @param {ArrayBuffer | ArrayBufferView} bytes
+         */
+        push(bytes) {
+            if (bytes instanceof ArrayBuffer)
+                bytes = new Uint8Array(bytes);
+            else if (ArrayBuffer.isView(bytes))
+                bytes = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            else
+                throw new TypeError(`${name}: chunk: ArrayBuffer or ArrayBufferView expected.`);
+            this.release();
+            chunk = bytes;
+        },
+        /**
+         * Consumes n bytes, which must be available. Returns the buffer
+         * containing them and their offset in the buffer. The bytes are
+         * valid until the next call.
+         * @param {number} n
+         * @returns {{buffer: ArrayBuffer, offset: number}}
+         */
+        read(n) {
+            if (n > this.length)
+                throw new Error(`${name}: bug`);
+            position += n;
+            if (start == end && chunk && chunk.length - head >= n) {
+                const offset = chunk.byteOffset + head;
+                head += n;
+                return { buffer: chunk.buffer, offset };
+            }
+            // the bytes span the store and the chunk
+            if (end - start < n) {
+                const k = n - (end - start);
+                append(chunk.subarray(head, head + k));
+                head += k;
+            }
+            const offset = store.byteOffset + start;
+            start += n;
+            if (start == end)
+                start = end = 0;
+            return { buffer: store.buffer, offset };
+        },
+        /** Copies the unread bytes of the chunk and forgets it. */
+        release() {
+            if (chunk && head < chunk.length)
+                append(chunk.subarray(head));
+            chunk = null;
+            head = 0;
+        },
+        /** Drops all the bytes available. */
+        clear() {
+            position += this.length;
+            chunk = null;
+            head = start = end = 0;
+        }
+    };
+}
@@ -1,11 +1,16 @@
+import proj4 from 'proj4';
+import { unwrapRing, alignRing } from './antimeridian.js';
+import { rtree } from './rtree.js';
+
 /**
  * Checks if the first and last points are equal.
  * @param {GeoJSON.Position[]} ring
+ * @param {boolean} [strict] Throw if the ring is too short.
  * @returns {boolean}
  */
-function ringClosed(ring) {
+function ringClosed(ring, strict = true) {
     const l = ring.length - 1;
-    if (l <= 2)
+    if (l <= 2 && strict)
         throw new TypeError('SHPTransform: polygon ring too short.');
     return ring[0][0] == ring[l][0] && ring[0][1] == ring[l][1];
 }
@@ -25,8 +30,6 @@ function ringArea(ring) {
         const n = i < l - 1 ? i + 1 : 0;
         sum += ring[i][1] * (ring[p][0] - ring[n][0]);
     }
-    if (sum == 0)
-        throw new TypeError('SHPTransform: polygon ring area is 0.');
     return 0.5 * sum;
 }
 
@@ -38,7 +41,7 @@ function ringArea(ring) {
  * @param {GeoJSON.Position[]} ring
  * @param {GeoJSON.Position} p
  */
-function insideRing(p, ring) {
+export function insideRing(p, ring) {
     let count = 0;
     for (let i = 0; i < ring.length; i++) {
         const n = (i + 1) % ring.length;
@@ -55,33 +58,264 @@ function insideRing(p, ring) {
 }
 
 /**
- * A simple check if two rings intersect.
- * @param {GeoJSON.Position[]} ring
+ * Returns the function locating a point relative to the ring:
+ * 1 inside, -1 outside, 0 on the boundary. The crossing number is
+ * computed with the exact sign of the cross product, and only the edges
+ * of the horizontal band containing the point are tested.
+ * @param {GeoJSON.Position[]} ring closed
+ * @returns {(p: GeoJSON.Position) => number}
+ */
+function ringLocator(ring) {
+    const edges = ring.length - 1;
+    const [w, s, e, n] = bbox_of(ring);
+    // bands of equal height, fewer if the edges are long
+    let bands = edges < 32 || n == s ? 1 : Math.ceil(Math.sqrt(edges));
+    const band = (y) => Math.min(bands - 1, Math.floor((y - s) / (n - s) * bands));
+    const span = (i) => {
+        const y1 = ring[i][1], y2 = ring[i + 1][1];
+        return [band(Math.min(y1, y2)), band(Math.max(y1, y2))];
+    };
+    let total;
+    while (true) {
+        total = 0;
+        for (let i = 0; i < edges; i++) {
+            const [b1, b2] = span(i);
+            total += b2 - b1 + 1;
+        }
+        if (bands == 1 || total <= 8 * edges)
+            break;
+        bands = Math.ceil(bands / 4);
+    }
+    // the edges of band b are list[start[b]] to list[start[b + 1] - 1]
+    const start = new Int32Array(bands + 1);
+    for (let i = 0; i < edges; i++) {
+        const [b1, b2] = span(i);
+        for (let b = b1; b <= b2; b++)
+            start[b + 1]++;
+    }
+    for (let b = 0; b < bands; b++)
+        start[b + 1] += start[b];
+    const list = new Int32Array(total);
+    const fill = start.slice(0, bands);
+    for (let i = 0; i < edges; i++) {
+        const [b1, b2] = span(i);
+        for (let b = b1; b <= b2; b++)
+            list[fill[b]++] = i;
+    }
+    return (p) => {
+        const [x, y] = p;
+        if (x < w || x > e || y < s || y > n)
+            return -1;
+        const b = band(y);
+        let count = 0;
+        for (let k = start[b]; k < start[b + 1]; k++) {
+            const i = list[k];
+            const [ax, ay] = ring[i], [bx, by] = ring[i + 1];
+            if (y < Math.min(ay, by) || y > Math.max(ay, by))
+                continue;
+            const c = (bx - ax) * (y - ay) - (by - ay) * (x - ax);
+            if (c == 0 && x >= Math.min(ax, bx) && x <= Math.max(ax, bx))
+                return 0;
+            // the edge crosses the ray to the right of the point
+            if ((ay > y) != (by > y) && (by > ay ? c > 0 : c < 0))
+                count++;
+        }
+        return count & 0x01 ? 1 : -1;
+    };
+}
+
+/**
+ * Is the hole within the outer ring? The vertices of the hole on the
+ * boundary of the outer ring, e.g. a hole touching it, are not decisive,
+ * then the midpoints of the hole edges are tested.
+ * @param {{ring: GeoJSON.Position[], locate?: Function}} outer
  * @param {GeoJSON.Position[]} hole
- * @param {GeoJSON.BBox} b1
- * @param {GeoJSON.BBox} b2
  */
-function ringIntersect(ring, b1, hole, b2) {
-    const bb = bbox_intersection(b1, b2);
-    if (!bb)
-        return false;
+function ringContains(outer, hole) {
+    outer.locate ??= ringLocator(outer.ring);
     for (const p of hole) {
-        if (!bbox_contains(bb, p))
-            continue;
-        const c = insideRing(p, ring);
-        if (c !== 0)
-            return (c & 0x01) !== 0;
+        const c = outer.locate(p);
+        if (c != 0)
+            return c > 0;
     }
-    for (const p of ring) {
-        if (!bbox_contains(bb, p))
-            continue;
-        const c = insideRing(p, hole);
-        if (c !== 0)
-            return (c & 0x01) !== 0;
+    for (let i = 1; i < hole.length; i++) {
+        const [ax, ay] = hole[i - 1], [bx, by] = hole[i];
+        const c = outer.locate([(ax + bx) / 2, (ay + by) / 2]);
+        if (c != 0)
+            return c > 0;
     }
     return false;
 }
 
+/**
+ * Sets the property `outer` of each hole to the smallest outer ring
+ * containing it. The candidates are the outer rings whose bboxes
+ * contain the hole's bbox, found with an R-tree.
+ * @param {{ring: GeoJSON.Position[], area: number, bbox: GeoJSON.BBox, outer: any}[]} outers
+ * @param {{ring: GeoJSON.Position[], area: number, bbox: GeoJSON.BBox, outer: any}[]} holes
+ * @param {boolean} unwrap the longitudes of the rings may differ by multiples of 360
+ */
+function assignHoles(outers, holes, unwrap) {
+    const tree = rtree(outers.map(r => r.bbox));
+    if (!tree.extent)
+        return;
+    const [tw, , te] = tree.extent;
+    for (const hole of holes) {
+        const [w, s, e, n] = hole.bbox;
+        const candidates = [];
+        const add = (index) => {
+            if (-outers[index].area > hole.area)
+                candidates.push(outers[index]);
+        };
+        if (!unwrap)
+            tree.containing(hole.bbox, add);
+        else {
+            // the hole may be 360 degrees apart from its outer ring
+            const k1 = Math.ceil((tw - e) / 360), k2 = Math.floor((te - w) / 360);
+            for (let k = k1; k <= k2; k++)
+                tree.containing([w + 360 * k, s, e + 360 * k, n], add);
+        }
+        // the smallest outer ring first, the areas are negative
+        candidates.sort((r1, r2) => r2.area - r1.area);
+        for (const outer of candidates) {
+            if (unwrap)
+                alignRing(hole.ring, hole.bbox, outer.bbox);
+            if (ringContains(outer, hole.ring)) {
+                hole.outer = outer;
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Returns the function converting positions from the source projection
+ * to the target one. Without the target, the positions are converted to
+ * longitudes and latitudes, without both they are not changed.
+ * @param {string} prjwkt source projection, WGS84 if only the target is known
+ * @param {string} [target] WKT, EPSG code or proj string
+ * @param {string} [name] of the function for the messages
+ * @returns {(p: number[]) => number[]}
+ */
+export function projector(prjwkt, target, name = 'projector') {
+    return conversion(prjwkt, target, name)?.forward ?? ((x) => x);
+}
+
+/**
+ * Returns the function converting positions back from the target projection
+ * (or longitudes and latitudes) to the source one, the inverse of projector.
+ * @param {string} prjwkt source projection, WGS84 if only the target is known
+ * @param {string} [target] WKT, EPSG code or proj string
+ * @param {string} [name] of the function for the messages
+ * @returns {(p: number[]) => number[]}
+ */
+export function unprojector(prjwkt, target, name = 'unprojector') {
+    return conversion(prjwkt, target, name)?.inverse ?? ((x) => x);
+}
+
+/**
+ * The proj4 converter from the source projection to the target one,
+ * null if the positions are not changed.
+ * @param {string} prjwkt
+ * @param {string} [target]
+ * @param {string} name
+ */
+function conversion(prjwkt, target, name) {
+    const source = prjwkt ? projection(prjwkt, `${name}: prjwkt`) : null;
+    if (target)
+        return proj4(source ?? 'WGS84', projection(target, `${name}: target`));
+    if (!source)
+        return null;
+    const converter = proj4(source);
+    return { forward: converter.inverse, inverse: converter.forward };
+}
+
+/**
+ * Parses the projection. proj4 throws strings, they become TypeErrors.
+ * @param {string} def WKT, EPSG code or proj string
+ * @param {string} name for the message
+ */
+function projection(def, name) {
+    try {
+        return proj4.Proj(def);
+    } catch {
+        const text = def.length > 40 ? def.slice(0, 40) + '...' : def;
+        throw new TypeError(`${name}: unknown projection ${text}.`);
+    }
+}
+
+/**
+ * Tells if the target projection is in longitudes and latitudes,
+ * like the output without it.
+ * @param {string} [target]
+ * @param {string} [name] of the function for the messages
+ */
+export function geographic(target, name = 'geographic') {
+    return !target || projection(target, `${name}: target`).projName == 'longlat';
+}
+
+/**
+ * Returns the GeoJSON 2008 "crs" member for the target projection,
+ * or null if it is WGS84 longitudes and latitudes or not given.
+ * @param {string} [target]
+ * @param {string} [name] of the function for the messages
+ */
+export function crsMember(target, name = 'crsMember') {
+    if (!target)
+        return null;
+    const proj = projection(target, `${name}: target`);
+    if (proj.projName == 'longlat' && String(proj.datumCode).toLowerCase() == 'wgs84')
+        return null;
+    // the authority of the entire WKT comes last
+    const match = target.match(/^EPSG:(\d+)$/i)
+        ?? target.match(/(?:AUTHORITY|ID)\["EPSG",\s*"?(\d+)"?\]\]\s*$/);
+    const urn = match ? `urn:ogc:def:crs:EPSG::${match[1]}` : target;
+    return { type: 'name', properties: { name: urn } };
+}
+
+/** EPSG codes of the common coordinate systems by their normalized names. */
+const epsgNames = {
+    wgs_84: 4326, wgs_1984: 4326, gcs_wgs_1984: 4326,
+    nad83: 4269, gcs_north_american_1983: 4269,
+    nad27: 4267, gcs_north_american_1927: 4267,
+    etrs89: 4258, gcs_etrs_1989: 4258,
+    wgs_84_pseudo_mercator: 3857, wgs_1984_web_mercator_auxiliary_sphere: 3857
+};
+
+/**
+ * Identifies the EPSG code of the coordinate system: 'EPSG:n', the WKT
+ * with the authority or named like the common systems in the .prj files
+ * written by ESRI and OGC software, including the UTM zones.
+ * @param {string} text
+ * @returns {number | null} null if not identified
+ */
+export function epsgCode(text) {
+    // the authority of the entire WKT comes last
+    const code = text.match(/^\s*EPSG:(\d+)\s*$/i)?.[1]
+        ?? text.match(/(?:AUTHORITY|ID)\["EPSG",\s*"?(\d+)"?\]\]\s*$/)?.[1];
+    if (code)
+        return Number(code);
+    const name = text.match(/^\s*(?:PROJCS|GEOGCS)\[\s*"([^"]*)"/)?.[1]
+        ?.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!name)
+        return null;
+    if (name in epsgNames)
+        return epsgNames[name];
+    const utm = name.match(/^(wgs_(?:19)?84|nad_?(?:19)?83|nad_?(?:19)?27|etrs_?(?:19)?89)_utm_zone_(\d+)([ns])$/);
+    if (!utm || Number(utm[2]) < 1 || Number(utm[2]) > 60)
+        return null;
+    const zone = Number(utm[2]);
+    if (utm[1].startsWith('wgs'))
+        return (utm[3] == 'n' ? 32600 : 32700) + zone;
+    if (utm[3] == 's')
+        return null;
+    if (utm[1].endsWith('83'))
+        return zone <= 23 ? 26900 + zone : null;
+    if (utm[1].endsWith('27'))
+        return zone <= 22 ? 26700 + zone : null;
+    return zone >= 28 && zone <= 38 ? 25800 + zone : null;
+}
+
 /**
  * @param {ArrayBuffer} bytes
  * @param {number} off
@@ -95,7 +329,18 @@ export function parseBBox(bytes, off, proj) {
     return [xmin, ymin, xmax, ymax];
 }
 
+/** Shape type names by their codes. */
+export const shapeTypes = {
+    0: 'Null', 1: 'Point', 3: 'PolyLine', 5: 'Polygon', 8: 'MultiPoint',
+    11: 'PointZ', 13: 'PolyLineZ', 15: 'PolygonZ', 18: 'MultiPointZ',
+    21: 'PointM', 23: 'PolyLineM', 25: 'PolygonM', 28: 'MultiPointM',
+    31: 'MultiPatch'
+};
+
 /**
+ * Parses the 100 bytes of the SHP or SHX header.
+ * The bbox is projected, the extent [xmin, ymin, xmax, ymax, zmin, zmax,
+ * mmin, mmax] is as stored.
  * @param {ArrayBuffer} bytes
  * @param {Function} proj;
  */
@@ -104,50 +349,248 @@ export function shpHeader(bytes, proj) {
     if (dv.getInt32(0) != 9994)
         throw new TypeError('Not a Shapefile format');
     const filesize = dv.getInt32(24) * 2;
+    const version = dv.getInt32(28, true);
+    const type = dv.getInt32(32, true);
+    const shapeType = shapeTypes[type] ?? String(type);
     const bbox = parseBBox(bytes, 36, proj);
-    return { bbox, filesize };
+    const extent = Array(8);
+    for (let i = 0; i < 8; i++)
+        extent[i] = dv.getFloat64(36 + 8 * i, true);
+    return { bbox, filesize, version, shapeType, extent };
 }
 
-/** @param {ArrayBuffer} bytes */
+/**
+ * Metadata of the SHP file for the callers.
+ * @param {ReturnType<typeof shpHeader>} header
+ */
+export function shpMetadata(header) {
+    const { version, shapeType, bbox, extent, filesize } = header;
+    return { version, shapeType, bbox: bbox.slice(), extent, filesize };
+}
+
+/**
+ * Metadata of the DBF file for the callers.
+ * @param {ReturnType<typeof dbfHeader>} header
+ * @param {Array} fields as returned by dbfFields
+ * @param {string} encoding
+ */
+export function dbfMetadata(header, fields, encoding) {
+    const { version, flavor, numrec: count, updated } = header;
+    return {
+        version, flavor, count, updated, encoding,
+        fields: fields.filter(f => f.type != '0')
+            .map(({ name, type, size, decimals }) => ({ name, type, size, decimals }))
+    };
+}
+
+/**
+ * Parses the first 32 bytes of the DBF header.
+ * The flavor is 'dbase' for dBase III/IV and FoxPro 2,
+ * 'dbase7' for dBase 7 and 'foxpro' for Visual FoxPro.
+ * The memo is the format of the memo file: 'dbt3', 'dbt4' or 'fpt'.
+ * @param {ArrayBuffer} bytes
+ */
 export function dbfHeader(bytes) {
     const dv = new DataView(bytes);
-    const version = dv.getUint8(0) & 0x07;
-    if (version != 3)
-        throw new TypeError(`DBF format ${version} not implemented.`);
+    const version = dv.getUint8(0);
+    let flavor = 'dbase';
+    let memo = version == 0x83 ? 'dbt3' : 'dbt4';
+    if (version == 0x30 || version == 0x31 || version == 0x32) {
+        flavor = 'foxpro';
+        memo = 'fpt';
+    } else if (version == 0xf5 || version == 0xfb)
+        memo = 'fpt';
+    else if ((version & 0x07) == 4)
+        flavor = 'dbase7';
+    else if ((version & 0x07) != 3)
+        throw new TypeError(`DBF format 0x${version.toString(16)} not implemented.`);
     const numrec = dv.getUint32(4, true);
+    const hdrlen = dv.getUint16(8, true);
     const reclen = dv.getUint16(10, true);
     if (dv.getUint8(15))
         throw new TypeError(`Encryped DBF not implemented.`);
-    return { numrec, reclen };
+    const ldid = dv.getUint8(29);     // language driver ID
+    // the date of the last update, the year since 1900
+    const [yy, mm, dd] = [1, 2, 3].map(i => dv.getUint8(i));
+    const updated = mm == 0 ? null : [1900 + yy, mm, dd]
+        .map((v, i) => String(v).padStart(i ? 2 : 4, '0')).join('-');
+    // where the field descriptors start and their size
+    const fieldpos = flavor == 'dbase7' ? 68 : 32;
+    const fieldlen = flavor == 'dbase7' ? 48 : 32;
+    return { version, numrec, hdrlen, reclen, flavor, memo, ldid, updated, fieldpos, fieldlen };
 }
 
 /**
+ * Parses a field descriptor, returns null at the terminator.
  * @param {ArrayBuffer} bytes
  * @param {number} pos
  * @param {TextDecoder} decoder
+ * @param {string} [flavor] as returned by dbfHeader
  */
-export function dbfField(bytes, pos, decoder) {
+export function dbfField(bytes, pos, decoder, flavor = 'dbase') {
     const dv = new DataView(bytes);
     if (dv.getUint8(pos) == 0x0d)
         return null;
+    if (flavor == 'dbase7') {
+        const name = decoder.decode(new DataView(bytes, pos, 32)).trim()
+            .replace(/\0.*$/, '');
+        const type = String.fromCharCode(dv.getUint8(pos + 32));
+        const size = dv.getUint8(pos + 33);
+        const decimals = dv.getUint8(pos + 34);
+        return { name, type, size, decimals, flags: 0 };
+    }
     const name = decoder.decode(new DataView(bytes, pos, 11)).trim()
         .replace(/\0.*$/, '');
     const type = String.fromCharCode(dv.getUint8(pos + 11));
     const size = dv.getUint8(pos + 16);
-    return { name, type, size };
+    const decimals = dv.getUint8(pos + 17);
+    // field flags are meaningful in Visual FoxPro only
+    const flags = flavor == 'foxpro' ? dv.getUint8(pos + 18) : 0;
+    return { name, type, size, decimals, flags };
 }
 
 /**
+ * Parses all the field descriptors of the DBF header.
+ * @param {ArrayBuffer} bytes containing the entire header
+ * @param {ReturnType<typeof dbfHeader>} header
+ * @param {TextDecoder} decoder
+ */
+export function dbfFields(bytes, header, decoder) {
+    const fields = [];
+    const { hdrlen, fieldpos, fieldlen, flavor } = header;
+    const dv = new DataView(bytes);
+    for (let pos = fieldpos; pos < hdrlen; pos += fieldlen) {
+        if (dv.getUint8(pos) == 0x0d)
+            return fields;
+        if (pos + fieldlen > hdrlen)
+            break;
+        fields.push(dbfField(bytes, pos, decoder, flavor));
+    }
+    throw new TypeError('DBF header: fields terminator not found.');
+}
+
+/**
+ * Is this a memo field, containing a block number in the memo file?
+ * @param {string} type of the field
+ * @param {string} flavor as returned by dbfHeader
+ */
+export function dbfMemoField(type, flavor) {
+    return type == 'M' || type == 'G' || type == 'P'
+        || (type == 'B' && flavor != 'foxpro');
+}
+
+/** Julian day number of 1970-01-01 */
+const unixEpochJD = 2440588;
+
+/** Values of the options of dbfRecord. */
+export const dbfDates = ['string', 'iso', 'date'];
+export const dbfNumbers = ['number', 'bigint', 'string'];
+
+/**
+ * Policies for the records marked deleted: 'skip' drops them with their shapes,
+ * 'keep-with-flag' keeps them setting the feature member `deleted` to true,
+ * 'keep-null-properties' keeps the shapes with null properties.
+ */
+export const dbfDeleted = ['skip', 'keep-with-flag', 'keep-null-properties'];
+
+/**
+ * Converts the contents of a 'D' field.
+ * @param {string} str like '20241231'
+ * @param {string} dates 'string' to keep it, 'iso' for '2024-12-31',
+ *  'date' for the Date object at the local midnight, as the writer takes it
+ */
+function dbfDate(str, dates) {
+    if (dates == 'string')
+        return str;
+    const match = str.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (!match || match[2] == '00')
+        return null;
+    if (dates == 'iso')
+        return `${match[1]}-${match[2]}-${match[3]}`;
+    // setFullYear keeps the years before 100 as they are
+    const date = new Date(0, 0, 1);
+    date.setFullYear(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date;
+}
+
+/**
+ * Converts the contents of a 'N' or 'F' field. The numbers which
+ * can not be exact as Numbers become BigInts (integers only)
+ * or strings, if requested.
+ * @param {string} str
+ * @param {string} numbers 'number', 'bigint' or 'string'
+ */
+function dbfNumber(str, numbers) {
+    const num = Number(str);
+    if (numbers == 'number' || isNaN(num))
+        return num;
+    if (/^[-+]?\d+$/.test(str)) {
+        if (Number.isSafeInteger(num))
+            return num;
+        return numbers == 'bigint' ? BigInt(str) : str;
+    }
+    // up to 15 significant digits survive
+    const digits = str.replace(/[eE].*$/, '').replace(/\D/g, '').replace(/^0+/, '');
+    return digits.length <= 15 ? num : str;
+}
+
+/**
+ * 1970-01-01 as the dBase 7 (BDE) timestamp: milliseconds since 0001-01-01,
+ * which is day 1, not 0.
+ */
+const unixEpochBDE = 719163 * 86400000;
+
+/**
+ * Parses a DBF record. Memo fields get the block numbers.
  * @param {DataView} rec
  * @param {Array} fields
  * @param {TextDecoder} decoder
+ * @param {string} [flavor] as returned by dbfHeader
+ * @param {object} [options]
+ * @param {string} [options.dates] 'D' fields as 'string' (default), 'iso' or 'date'
+ * @param {string} [options.numbers] inexact 'N' and 'F' fields as 'number' (default),
+ *  'bigint' or 'string'
  */
-export function dbfRecord(rec, fields, decoder) {
+export function dbfRecord(rec, fields, decoder, flavor = 'dbase', options = {}) {
+    const { dates = 'string', numbers = 'number' } = options;
     const row = {};
+    // Visual FoxPro keeps null and varchar length flags in a system field
+    let nullflags = null;
+    if (flavor == 'foxpro') {
+        let pos = 0;
+        for (const { type, size } of fields) {
+            if (type == '0') {
+                nullflags = new Uint8Array(rec.buffer, rec.byteOffset + pos + 1, size);
+                break;
+            }
+            pos += size;
+        }
+    }
+    let bit = 0;
+    const nextBit = () => {
+        const b = bit++;
+        return nullflags != null && (nullflags[b >> 3] & (1 << (b & 7))) != 0;
+    };
     let pos = 0;
-    for (const { name, type, size } of fields) {
-        //const col = rec.subarray(pos + 1, pos + size + 1);
+    for (const { name, type, size, flags } of fields) {
         const col = new DataView(rec.buffer, rec.byteOffset + pos + 1, size);
+        pos += size;
+        if (type == '0' || (flags & 0x01))
+            continue;   // system field
+        const varlen = (type == 'V' || type == 'Q') && nextBit();
+        if ((flags & 0x02) && nextBit()) {
+            row[name] = null;
+            continue;
+        }
+        if (dbfMemoField(type, flavor)) {
+            let block = 0;
+            if (size == 4)
+                block = col.getInt32(0, true);
+            else
+                block = Number(decoder.decode(col).trim()) || 0;
+            row[name] = block > 0 ? block : null;
+            continue;
+        }
         switch (type) {
             case 'C': {
                 const str = decoder.decode(col).trim();
@@ -157,13 +600,20 @@ export function dbfRecord(rec, fields, decoder) {
                 row[name] = str.substring(0, l + 1);
                 break;
             }
+            case 'V':
+            case 'Q': {
+                const len = varlen ? col.getUint8(size - 1) : size;
+                const bytes = new Uint8Array(col.buffer, col.byteOffset, len);
+                row[name] = type == 'V' ? decoder.decode(bytes) : bytes.slice();
+                break;
+            }
             case 'D':
-                row[name] = decoder.decode(col).trim();
+                row[name] = dbfDate(decoder.decode(col).trim(), dates);
                 break;
             case 'N':
             case 'F': {
                 const str = decoder.decode(col).trim();
-                row[name] = str == '' ? null : Number(str);
+                row[name] = str == '' ? null : dbfNumber(str, numbers);
                 break;
             }
             case 'L':
@@ -180,10 +630,46 @@ export function dbfRecord(rec, fields, decoder) {
                         row[name] = null;
                 }
                 break;
+            case 'I':
+            case '+':
+                // dBase 7 stores integers big-endian with the sign bit flipped
+                row[name] = flavor == 'foxpro' ? col.getInt32(0, true)
+                    : (col.getUint32(0) ^ 0x80000000) | 0;
+                break;
+            case 'B':   // Visual FoxPro double
+                row[name] = col.getFloat64(0, true);
+                break;
+            case 'O': {
+                // dBase 7 double, big-endian, positives have the sign bit flipped,
+                // negatives have all the bits flipped
+                const bytes = new Uint8Array(col.buffer.slice(col.byteOffset, col.byteOffset + 8));
+                if (bytes[0] & 0x80)
+                    bytes[0] ^= 0x80;
+                else {
+                    for (let i = 0; i < 8; i++)
+                        bytes[i] = ~bytes[i];
+                }
+                row[name] = new DataView(bytes.buffer).getFloat64(0);
+                break;
+            }
+            case 'Y':   // currency, scaled by 10000
+                row[name] = Number(col.getBigInt64(0, true)) / 10000;
+                break;
+            case 'T': { // Visual FoxPro datetime: Julian day and milliseconds
+                const day = col.getInt32(0, true);
+                const ms = col.getInt32(4, true);
+                row[name] = day == 0 ? null
+                    : new Date((day - unixEpochJD) * 86400000 + ms).toISOString();
+                break;
+            }
+            case '@': { // dBase 7 timestamp: big-endian double, see unixEpochBDE
+                const ms = col.getFloat64(0);
+                row[name] = ms == 0 ? null : new Date(ms - unixEpochBDE).toISOString();
+                break;
+            }
             default:
                 throw new TypeError(`DBF field type ${type} not implemented.`);
         }
-        pos += size;
     }
     return row;
 }
@@ -193,9 +679,14 @@ export function dbfRecord(rec, fields, decoder) {
  * @param {number} offset
  * @param {Function} proj
  * @param {boolean} withM
+ * @param {(code: string, message: string) => void} [warn] Called on the repairs,
+ *  and on the orphan holes, which are reversed in any case.
+ * @param {boolean} [unwrap] Make the longitudes of the polygon rings continuous
+ *  across the antimeridian, see antimeridian.js.
+ * @param {boolean} [lenient] Repair the polygon rings instead of throwing.
  * @returns {GeoJSON.Feature}
  */
-export function shpRecord(bytes, offset, proj, withM) {
+export function shpRecord(bytes, offset, proj, withM, warn, unwrap = false, lenient = false) {
     const dv = new DataView(bytes);
     const type = dv.getInt32(offset, true);
     switch (type) {
@@ -280,39 +771,51 @@ export function shpRecord(bytes, offset, proj, withM) {
             }
             // now it's a polygon
             const rings = [];
-            for (const ring of lines) {
-                if (!ringClosed(ring))
+            for (let ring of lines) {
+                if (unwrap)
+                    ring = unwrapRing(ring);
+                if (lenient) {
+                    // repair or drop bad rings
+                    if (ring.length > 0 && !ringClosed(ring, false)) {
+                        ring.push(ring[0].slice());
+                        warn?.('RING_NOT_CLOSED', 'polygon ring not closed, closed.');
+                    }
+                    if (ring.length < 4) {
+                        warn?.('RING_TOO_SHORT', 'polygon ring too short, dropped.');
+                        continue;
+                    }
+                } else if (!ringClosed(ring))
                     throw new TypeError('SHPTransform: polygon: ring not closed.');
                 const area = ringArea(ring);   // area < 0 for outer rings
-                if (area == 0)
-                    throw new TypeError('SHPTransform: polygon: ring area is zero.');
+                if (area == 0) {
+                    if (!lenient)
+                        throw new TypeError('SHPTransform: polygon: ring area is zero.');
+                    warn?.('RING_ZERO_AREA', 'polygon ring area is zero, dropped.');
+                    continue;
+                }
                 rings.push({ ring: ring, area, bbox: bbox_of(ring), outer: null });
             }
-            // sorting to make sure that an inner gets into the smallest outer
+            // the largest outer rings first, the smallest holes first
             rings.sort((r1, r2) => r1.area - r2.area);
             const outers = rings.filter(r => r.area < 0);
             const inners = rings.filter(r => r.area > 0);
+            assignHoles(outers, inners, unwrap);
             for (const hole of inners) {
-                // inner of which outer?
-                for (const outer of outers) {
-                    if (hole.area >= Math.abs(outer.area))
-                        continue;
-                    if (ringIntersect(outer.ring, outer.bbox, hole.ring, hole.bbox)) {
-                        hole.outer = outer;
-                        break;
-                    }
-                }
                 if (!hole.outer) {
                     // it's not a hole?
                     hole.ring.reverse();
                     hole.area = -hole.area;
                     outers.push(hole);
                     inners[inners.indexOf(hole)] = null;
-                    console.log('SHPTransform: polygon: orphan inner ring.');
+                    warn?.('ORPHAN_HOLE', 'polygon inner ring without outer ring, reversed.');
                 }
             }
-            if (outers.length == 0)
-                throw new TypeError('SHPTransform: polygon: no outer rings.');
+            if (outers.length == 0) {
+                if (!lenient)
+                    throw new TypeError('SHPTransform: polygon: no outer rings.');
+                warn?.('POLYGON_EMPTY', 'polygon has no valid rings.');
+                return { type: 'Feature', geometry: null, properties: null };
+            }
             //
             for (const r of outers)
                 r.ring = [r.ring.reverse()];
@@ -367,11 +870,128 @@ export function shpRecord(bytes, offset, proj, withM) {
                 properties: null
             };
         }
+        case 31: {  // MultiPatch
+            const bbox = parseBBox(bytes, offset + 4, proj);
+            const nparts = dv.getInt32(offset + 36, true);
+            const npoints = dv.getInt32(offset + 40, true);
+            const parts = Array(nparts);
+            const ptypes = Array(nparts);
+            /** @type {GeoJSON.Position[]} */
+            const points = Array(npoints);
+            const pushD = () => {
+                bbox.push(dv.getFloat64(pos, true));
+                pos += 8;
+                bbox.push(dv.getFloat64(pos, true));
+                pos += 8;
+                for (let i = 0; i < npoints; i++) {
+                    points[i].push(dv.getFloat64(pos, true));
+                    pos += 8;
+                }
+            }
+            //
+            let pos = offset + 44;
+            for (let i = 0; i < nparts; i++) {
+                parts[i] = dv.getInt32(pos, true);
+                pos += 4;
+            }
+            for (let i = 0; i < nparts; i++) {
+                ptypes[i] = dv.getInt32(pos, true);
+                pos += 4;
+            }
+            for (let i = 0; i < npoints; i++) {
+                const x = dv.getFloat64(pos, true);
+                pos += 8;
+                const y = dv.getFloat64(pos, true);
+                pos += 8;
+                points[i] = proj([x, y]);
+            }
+            pushD();
+            if (withM)
+                pushD();
+            /** @type {GeoJSON.Position[][]} */
+            const lines = Array(nparts);
+            for (let i = 0; i < nparts; i++) {
+                const i0 = parts[i];
+                const i1 = i < nparts - 1 ? parts[i + 1] : npoints;
+                lines[i] = points.slice(i0, i1);
+            }
+            const { polygons, partTypes } = multiPatch(unwrap ? lines.map(unwrapRing) : lines, ptypes);
+            /** @type {GeoJSON.Geometry} */
+            const geometry = {
+                type: polygons.length == 1 ? 'Polygon' : 'MultiPolygon',
+                coordinates: polygons.length == 1 ? polygons[0] : polygons
+            };
+            geometry.partTypes = partTypes;
+            return { type: 'Feature', bbox: bbox, geometry, properties: null };
+        }
         default:
             throw new TypeError(`SHPTransform: record type ${type} not implemented.`);
     }
 }
 
+const patchNames = ['TriangleStrip', 'TriangleFan', 'OuterRing',
+    'InnerRing', 'FirstRing', 'Ring'];
+
+/**
+ * Converts MultiPatch parts into polygons. Triangles become
+ * polygons of one ring, inner rings are added to the preceding
+ * outer ring and rings to the preceding first ring.
+ * The winding order is kept as is, since the patches are
+ * not necessarily horizontal.
+ * @param {GeoJSON.Position[][]} lines
+ * @param {number[]} types of the parts
+ */
+function multiPatch(lines, types) {
+    /** @type {GeoJSON.Position[][][]} */
+    const polygons = [];
+    /** @type {string[]} type of the part each polygon comes from */
+    const partTypes = [];
+    /** @type {GeoJSON.Position[][] | null} */
+    let current = null;
+    /** @param {GeoJSON.Position[]} ring */
+    const closed = ring => {
+        const l = ring.length - 1;
+        if (l < 0 || ring[0][0] != ring[l][0] || ring[0][1] != ring[l][1]
+                || ring[0][2] != ring[l][2])
+            ring.push(ring[0].slice());
+        return ring;
+    };
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const name = patchNames[types[i]];
+        switch (types[i]) {
+            case 0:     // TriangleStrip
+            case 1:     // TriangleFan
+                for (let j = 2; j < line.length; j++) {
+                    const a = types[i] == 0 ? line[j - 2] : line[0];
+                    polygons.push([[a.slice(), line[j - 1].slice(), line[j].slice(), a.slice()]]);
+                    partTypes.push(name);
+                }
+                current = null;
+                break;
+            case 2:     // OuterRing
+            case 4:     // FirstRing
+                current = [closed(line)];
+                polygons.push(current);
+                partTypes.push(name);
+                break;
+            case 3:     // InnerRing
+            case 5:     // Ring
+                if (current && (types[i] == 3 || partTypes[partTypes.length - 1] == 'FirstRing'))
+                    current.push(closed(line));
+                else {
+                    current = [closed(line)];
+                    polygons.push(current);
+                    partTypes.push(name);
+                }
+                break;
+            default:
+                throw new TypeError(`SHPTransform: multipatch part type ${types[i]} unknown.`);
+        }
+    }
+    return { polygons, partTypes };
+}
+
 /**
  * @param {GeoJSON.BBox} b1
  * @param {GeoJSON.BBox} b2
@@ -418,3 +1038,223 @@ function bbox_contains(b, p) {
     const [x, y] = p;
     return x >= w && x <= e && y >= s && y <= n;
 }
+
+/**
+ * Hidden property of features and DBF rows: the 0-based record number.
+ */
+export const recordIndex = Symbol('recordIndex');
+
+/**
+ * Hidden property of the readable side of SHPTransform: true if some records
+ * may be filtered out or skipped, so the DBF rows can outnumber the features.
+ */
+export const filtered = Symbol('filtered');
+
+/**
+ * Hidden property of the readable side of DBFTransform:
+ * `{ policy, records }`, the policy for the deleted records and the Set
+ * of their 0-based numbers read so far.
+ */
+export const deletedRecords = Symbol('deletedRecords');
+
+/**
+ * Sets the id of the feature from its property, the property is removed
+ * if asked. Features without properties (deleted or missing DBF rows)
+ * get no id.
+ * @param {GeoJSON.Feature} feature
+ * @param {string} field
+ * @param {boolean} remove
+ * @param {string} name for the error message
+ */
+export function fieldId(feature, field, remove, name) {
+    const properties = feature.properties;
+    if (!properties)
+        return;
+    if (!(field in properties))
+        throw new TypeError(`${name}: idField: no field ${field}.`);
+    const value = properties[field];
+    if (typeof value == 'bigint')
+        feature.id = Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+    else if (value != null)
+        feature.id = value;
+    if (remove)
+        delete properties[field];
+}
+
+/**
+ * Makes a predicate telling if a bounding box matches the filter.
+ * @param {GeoJSON.BBox | GeoJSON.GeoJSON} filter A bounding box or
+ *  a Polygon or MultiPolygon given as a geometry, a Feature or a FeatureCollection.
+ * @returns {(box: GeoJSON.BBox) => boolean}
+ */
+export function bboxFilter(filter) {
+    if (Array.isArray(filter)) {
+        if (filter.length < 4 || filter.slice(0, 4).some(v => typeof v != 'number'))
+            throw new TypeError('bboxFilter: bounding box [w, s, e, n] expected.');
+        return box => bbox_intersection(box, filter) != null;
+    }
+    /** @type {GeoJSON.Position[][][]} */
+    const polygons = [];
+    /** @param {any} obj */
+    const collect = obj => {
+        switch (obj?.type) {
+            case 'FeatureCollection':
+                obj.features.forEach(collect);
+                break;
+            case 'Feature':
+                collect(obj.geometry);
+                break;
+            case 'Polygon':
+                polygons.push(obj.coordinates);
+                break;
+            case 'MultiPolygon':
+                polygons.push(...obj.coordinates);
+                break;
+            default:
+                throw new TypeError('bboxFilter: bounding box or polygons expected.');
+        }
+    };
+    collect(filter);
+    const list = polygons.map(rings => ({ rings, bbox: bbox_of(rings[0]) }));
+    return box => list.some(({ rings, bbox }) => boxPolygonIntersect(box, rings, bbox));
+}
+
+/**
+ * Tests the record against the filter without parsing the coordinates,
+ * using the bounding box stored in the record, or the point itself.
+ * Null shapes never match.
+ * @param {ArrayBuffer} bytes
+ * @param {number} offset
+ * @param {Function} proj
+ * @param {(box: GeoJSON.BBox) => boolean} filter made by bboxFilter
+ */
+export function shpFilter(bytes, offset, proj, filter) {
+    const dv = new DataView(bytes);
+    const type = dv.getInt32(offset, true);
+    if (type == 0)
+        return false;
+    if (type == 1 || type == 11 || type == 21) {
+        const [x, y] = proj([dv.getFloat64(offset + 4, true), dv.getFloat64(offset + 12, true)]);
+        return filter([x, y, x, y]);
+    }
+    // corners can swap after projection
+    const [x1, y1, x2, y2] = parseBBox(bytes, offset + 4, proj);
+    return filter([Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)]);
+}
+
+/**
+ * Does the box intersect the polygon?
+ * @param {GeoJSON.BBox} box
+ * @param {GeoJSON.Position[][]} rings outer ring and holes
+ * @param {GeoJSON.BBox} pbox bounding box of the polygon
+ */
+function boxPolygonIntersect(box, rings, pbox) {
+    if (!bbox_intersection(box, pbox))
+        return false;
+    // a vertex of the polygon within the box
+    for (const ring of rings) {
+        for (const p of ring) {
+            if (bbox_contains(box, p))
+                return true;
+        }
+    }
+    // the box within the polygon
+    let count = 0;
+    for (const ring of rings)
+        count += insideRing([box[0], box[1]], ring);
+    if (count & 0x01)
+        return true;
+    // an edge of the polygon crossing the box
+    const [w, s, e, n] = box;
+    const sides = [[[w, s], [e, s]], [[e, s], [e, n]], [[e, n], [w, n]], [[w, n], [w, s]]];
+    for (const ring of rings) {
+        for (let i = 1; i < ring.length; i++) {
+            for (const [a, b] of sides) {
+                if (segmentsCross(ring[i - 1], ring[i], a, b))
+                    return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Do the segments p1-p2 and q1-q2 cross or touch?
+ * @param {GeoJSON.Position} p1
+ * @param {GeoJSON.Position} p2
+ * @param {GeoJSON.Position} q1
+ * @param {GeoJSON.Position} q2
+ */
+function segmentsCross(p1, p2, q1, q2) {
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const d1 = cross(q1, q2, p1), d2 = cross(q1, q2, p2);
+    const d3 = cross(p1, p2, q1), d4 = cross(p1, p2, q2);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0)))
+        return true;
+    const on = (a, b, p) => Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0])
+        && Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+    return (d1 == 0 && on(q1, q2, p1)) || (d2 == 0 && on(q1, q2, p2))
+        || (d3 == 0 && on(p1, p2, q1)) || (d4 == 0 && on(p1, p2, q2));
+}
+
+/**
+ * Reads bytes from a random-access source.
+ * @param {ArrayBuffer | ArrayBufferView | Blob | import('node:fs/promises').FileHandle} source
+ * @param {number} offset
+ * @param {number} length
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readBytes(source, offset, length) {
+    if (source instanceof ArrayBuffer)
+        return source.slice(offset, offset + length);
+    if (ArrayBuffer.isView(source)) {
+        const start = source.byteOffset + offset;
+        return source.buffer.slice(start, start + length);
+    }
+    if (typeof Blob != 'undefined' && source instanceof Blob)
+        return source.slice(offset, offset + length).arrayBuffer();
+    if (source && typeof source.read == 'function') {
+        const bytes = new Uint8Array(length);
+        const { bytesRead } = await source.read(bytes, 0, length, offset);
+        return bytes.buffer.slice(0, bytesRead);
+    }
+    throw new TypeError('readBytes: random-access source expected.');
+}
+
+/**
+ * Returns the size of a random-access source, null if it is not one.
+ * @param {any} source
+ * @returns {Promise<number | null>}
+ */
+export async function sourceSize(source) {
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source))
+        return source.byteLength;
+    if (typeof Blob != 'undefined' && source instanceof Blob)
+        return source.size;
+    if (source && typeof source.stat == 'function')
+        return (await source.stat()).size;
+    return null;
+}
+
+/**
+ * Reads the entire ReadableStream of bytes.
+ * @param {ReadableStream} stream of typed arrays or ArrayBuffers
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readAll(stream) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+        const bytes = chunk instanceof ArrayBuffer ? new Uint8Array(chunk)
+            : new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        chunks.push(bytes);
+        size += bytes.length;
+    }
+    const all = new Uint8Array(size);
+    let pos = 0;
+    for (const bytes of chunks) {
+        all.set(bytes, pos);
+        pos += bytes.length;
+    }
+    return all.buffer;
+}
@@ -0,0 +1,89 @@
+/**
+ * TextDecoder labels by the DBF language driver ID (byte 29 of the header).
+ * The DOS code pages the TextDecoder does not know are missing.
+ */
+const drivers = {
+    0x03: 'windows-1252',
+    0x04: 'macintosh',
+    0x13: 'shift_jis',
+    0x26: 'ibm866',
+    0x4d: 'gbk',
+    0x4e: 'euc-kr',
+    0x4f: 'big5',
+    0x50: 'windows-874',
+    0x57: 'windows-1252',
+    0x58: 'windows-1252',
+    0x59: 'windows-1252',
+    0x65: 'ibm866',
+    0x78: 'big5',
+    0x79: 'euc-kr',
+    0x7a: 'gbk',
+    0x7b: 'shift_jis',
+    0x7c: 'windows-874',
+    0x7d: 'windows-1255',
+    0x7e: 'windows-1256',
+    0x96: 'x-mac-cyrillic',
+    0xc8: 'windows-1250',
+    0xc9: 'windows-1251',
+    0xca: 'windows-1254',
+    0xcb: 'windows-1253',
+    0xcc: 'windows-1257'
+};
+
+/**
+ * TextDecoder labels by Windows code page numbers.
+ */
+const codepages = {
+    866: 'ibm866',
+    874: 'windows-874',
+    932: 'shift_jis',
+    936: 'gbk',
+    949: 'euc-kr',
+    950: 'big5',
+    20866: 'koi8-r',
+    21866: 'koi8-u',
+    54936: 'gb18030',
+    65001: 'utf-8'
+};
+
+/**
+ * Returns TextDecoder label for the DBF language driver ID,
+ * or null if unknown.
+ * @param {number} ldid
+ * @returns {string | null}
+ */
+export function ldidEncoding(ldid) {
+    return drivers[ldid] ?? null;
+}
+
+/**
+ * Returns TextDecoder label for the contents of a CPG file,
+ * or null if unknown.
+ * @param {string} text like 'UTF-8', '1251', 'ANSI 1252', '88591' or 'CP866'
+ * @returns {string | null}
+ */
+export function cpgEncoding(text) {
+    const str = String(text).trim().toLowerCase().replace(/^(ansi|oem|cp|ibm|windows)[\s_-]*/, '');
+    let match;
+    if ((match = str.match(/^125\d$/)))
+        return `windows-${match[0]}`;
+    if ((match = str.match(/^(?:iso[\s_-]*)?8859[\s_-]*(\d+)$/)))
+        return label(`iso-8859-${match[1]}`);
+    if (str.match(/^\d+$/))
+        return codepages[Number(str)] ?? null;
+    if (str == 'utf8')
+        return 'utf-8';
+    return label(str);
+}
+
+/**
+ * Normalizes the label if TextDecoder knows it.
+ * @param {string} str
+ */
+function label(str) {
+    try {
+        return new TextDecoder(str).encoding;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,81 @@
+const formats = ['FeatureCollection', 'ndjson', 'geojsonseq'];
+const chunkSize = 65536;    // bytes of text collected before enqueueing
+
+/**
+ * Returns TransformStream of UTF-8 bytes of the features written to it.
+ * The bytes are enqueued in chunks of about 64 KB; the readable side
+ * exerts backpressure once a chunk is waiting.
+ * @param {object} [options]
+ * @param {string} [options.format] 'FeatureCollection' (default), 'ndjson'
+ *  (newline-delimited features) or 'geojsonseq' (RFC 8242 text sequence).
+ * @param {number[]} [options.bbox] FeatureCollection bbox, read at the end,
+ *  so it can be the one filled by SHPTransform.
+ * @param {string} [options.name] FeatureCollection foreign member "name".
+ * @param {object} [options.crs] FeatureCollection foreign member "crs",
+ *  like the property `crs` of SHPTransform.
+ * @returns TransformStream
+ */
+export function GeoJSONTransform(options = {}) {
+    if (!options || typeof options != 'object')
+        throw new TypeError('GeoJSONTransform: first arg: object expected.');
+    const { format = 'FeatureCollection', bbox, name, crs } = options;
+    if (!formats.includes(format))
+        throw new TypeError(`GeoJSONTransform: format: one of ${formats.join(', ')} expected.`);
+    if (bbox && !Array.isArray(bbox))
+        throw new TypeError('GeoJSONTransform: bbox: array expected.');
+    if (name != null && typeof name != 'string')
+        throw new TypeError('GeoJSONTransform: name: string expected.');
+    const collection = format == 'FeatureCollection';
+    const encoder = new TextEncoder();
+    let text = '';
+    let first = true;
+    /** @param {TransformStreamDefaultController} controller */
+    const flush = (controller) => {
+        if (text.length > 0)
+            controller.enqueue(encoder.encode(text));
+        text = '';
+    };
+    return new TransformStream({
+        start() {
+            if (collection)
+                text = '{"type":"FeatureCollection","features":[';
+        },
+        transform(feature, controller) {
+            const json = JSON.stringify(feature, bigints);
+            if (format == 'ndjson')
+                text += json + '\n';
+            else if (format == 'geojsonseq')
+                text += '\x1e' + json + '\n';
+            else
+                text += (first ? '\n' : ',\n') + json;
+            first = false;
+            if (text.length >= chunkSize)
+                flush(controller);
+        },
+        flush(controller) {
+            if (collection) {
+                text += first ? ']' : '\n]';
+                if (bbox && bbox.length >= 4 && bbox.every(v => Number.isFinite(v)))
+                    text += `,"bbox":${JSON.stringify(bbox)}`;
+                if (name != null)
+                    text += `,"name":${JSON.stringify(name)}`;
+                if (crs)
+                    text += `,"crs":${JSON.stringify(crs)}`;
+                text += '}\n';
+            }
+            flush(controller);
+        }
+    }, undefined, new ByteLengthQueuingStrategy({ highWaterMark: chunkSize }));
+}
+
+/**
+ * JSON.stringify replacer for the BigInt values of DBFTransform with
+ * `numbers: 'bigint'`: a Number if it is exact, otherwise a string.
+ * @param {string} key
+ * @param {any} value
+ */
+function bigints(key, value) {
+    if (typeof value != 'bigint')
+        return value;
+    return Number.isSafeInteger(Number(value)) ? Number(value) : String(value);
+}
@@ -1,8 +1,189 @@
-import { Feature } from "geojson";
+import { Feature, BBox, GeoJSON, Geometry } from "geojson";
 
 declare module 'shapefile-geojson-js' {
-    export function SHPTransform(bbox?: number[], prjwkt?: string, withM?: boolean): TransformStream;
-    export function DBFTransform(encoding?: string): TransformStream;
-    export async function* stitch(shp: ReadableStream, dbf: ReadableStream):
+    export interface Diagnostic {
+        source: 'shp' | 'dbf';
+        code: string;
+        message: string;
+        record: number;
+        offset?: number;
+    }
+    export interface DiagnosticOptions {
+        lenient?: boolean;
+        onWarning?: (diag: Diagnostic) => void;
+        onError?: (diag: Diagnostic) => void;
+    }
+    export interface Progress {
+        bytes: number;
+        totalBytes: number | null;
+        records: number;
+        totalRecords: number | null;
+    }
+    export interface StreamOptions {
+        signal?: AbortSignal;
+        onProgress?: (progress: Progress) => void;
+    }
+    export interface SHPOptions extends DiagnosticOptions, StreamOptions {
+        filter?: BBox | GeoJSON;
+        antimeridian?: 'clamp' | 'split';
+        target?: string;
+        precision?: number;
+        quantize?: boolean;
+        recordId?: boolean;
+    }
+    export interface IdOptions {
+        idField?: string;
+        removeIdField?: boolean;
+    }
+    export interface CRSMember {
+        type: 'name';
+        properties: { name: string };
+    }
+    export interface SHPMetadata {
+        version: number;
+        shapeType: string;
+        bbox: number[];
+        extent: number[];
+        filesize?: number;
+    }
+    export interface DBFField {
+        name: string;
+        type: string;
+        size: number;
+        decimals: number;
+    }
+    export interface DBFMetadata {
+        version: number;
+        flavor: 'dbase' | 'dbase7' | 'foxpro';
+        count: number;
+        updated: string | null;
+        encoding: string;
+        fields: DBFField[];
+    }
+    export interface DBFOptions extends DiagnosticOptions, StreamOptions {
+        dates?: 'string' | 'iso' | 'date';
+        numbers?: 'number' | 'bigint' | 'string';
+        deleted?: 'skip' | 'keep-with-flag' | 'keep-null-properties';
+    }
+    export function SHPTransform(bbox?: number[], prjwkt?: string, withM?: boolean,
+        options?: SHPOptions): TransformStream & { crs: CRSMember | null, metadata: Promise<SHPMetadata> };
+    export function SimplifyTransform(tolerance: number,
+        options?: { method?: 'douglas-peucker' | 'visvalingam', units?: 'target' | 'source',
+            prjwkt?: string, target?: string }): TransformStream;
+    export function toTopology(features: AsyncIterable<Feature> | Iterable<Feature>, options?: {
+        name?: string;
+        quantization?: number;
+        tolerance?: number;
+        method?: 'douglas-peucker' | 'visvalingam';
+        units?: 'target' | 'source';
+        prjwkt?: string;
+        target?: string;
+        maxPositions?: number;
+    }): Promise<object>;
+    export interface Tile {
+        z: number;
+        x: number;
+        y: number;
+        data: Uint8Array;
+    }
+    export function vectorTiles(features: AsyncIterable<Feature> | Iterable<Feature>, options?: {
+        name?: string;
+        attributes?: string[];
+        minzoom?: number;
+        maxzoom?: number;
+        extent?: number;
+        buffer?: number;
+        tolerance?: number;
+    }): AsyncGenerator<Tile> & { metadata: {
+        name: string;
+        format: 'pbf';
+        minzoom: number;
+        maxzoom: number;
+        bounds: number[] | null;
+        center: number[] | null;
+        vector_layers: { id: string, fields: Record<string, string>, minzoom: number, maxzoom: number }[];
+    } };
+    export function writePMTiles(tiles: AsyncIterable<Tile> | Iterable<Tile>,
+        metadata?: object): ReadableStream<Uint8Array>;
+    export interface WKOptions {
+        withM?: boolean;
+        srid?: number | string;
+    }
+    export function toWKT(geometry: Geometry | null, options?: WKOptions): string | null;
+    export function toWKB(geometry: Geometry | null, options?: WKOptions): Uint8Array | null;
+    export function GeoJSONTransform(options?: {
+        format?: 'FeatureCollection' | 'ndjson' | 'geojsonseq';
+        bbox?: number[];
+        name?: string;
+        crs?: CRSMember;
+    }): TransformStream<Feature, Uint8Array>;
+    export function DBFTransform(encoding?: string,
+        memo?: ReadableStream | RandomAccessSource,
+        options?: DBFOptions): TransformStream & { encoding: string | null, metadata: Promise<DBFMetadata>,
+            deleted: Set<number> };
+    export function cpgEncoding(text: string): string | null;
+    export async function* stitch(shp: ReadableStream, dbf: ReadableStream,
+        options?: DiagnosticOptions & IdOptions & { signal?: AbortSignal }):
         AsyncGenerator<Feature>;
+    export interface ShapefileParts {
+        shp: ReadableStream<Uint8Array>;
+        shx: ReadableStream<Uint8Array>;
+        dbf: ReadableStream<Uint8Array>;
+        prj: ReadableStream<Uint8Array> | null;
+        cpg: ReadableStream<Uint8Array>;
+    }
+    export type RandomAccessSource = ArrayBuffer | ArrayBufferView | Blob |
+        import('node:fs/promises').FileHandle;
+    export interface IndexedShapefile {
+        count: number;
+        bbox: number[];
+        encoding: string;
+        crs: CRSMember | null;
+        metadata: { shp: SHPMetadata, dbf: DBFMetadata | null };
+        feature(n: number): Promise<Feature | null>;
+        features(start?: number, limit?: number): AsyncGenerator<Feature>;
+        recordOf(position: number): Promise<number>;
+    }
+    export function openIndexed(
+        sources: { shp: RandomAccessSource, shx: RandomAccessSource,
+            dbf?: RandomAccessSource | null, memo?: RandomAccessSource | null },
+        options?: { prjwkt?: string, withM?: boolean, encoding?: string,
+            antimeridian?: 'clamp' | 'split', target?: string,
+            precision?: number, quantize?: boolean, recordId?: boolean,
+            dates?: 'string' | 'iso' | 'date', numbers?: 'number' | 'bigint' | 'string',
+            deleted?: 'skip' | 'keep-with-flag' | 'keep-null-properties',
+            jobs?: number } & IdOptions):
+        Promise<IndexedShapefile>;
+    export interface Shapefile extends AsyncIterable<Feature> {
+        name: string;
+        bbox: number[];
+        prjwkt: string;
+        encoding: string | null;
+        crs: CRSMember | null;
+        metadata: { shp: SHPMetadata, dbf: DBFMetadata | null };
+        features(): AsyncGenerator<Feature>;
+    }
+    export function open(
+        source: string | Iterable<Blob> | Map<string, ArrayBuffer | ArrayBufferView | Blob> |
+            Record<string, ArrayBuffer | ArrayBufferView | Blob>,
+        options?: { name?: string, encoding?: string, prjwkt?: string, withM?: boolean, filter?: BBox | GeoJSON,
+            antimeridian?: 'clamp' | 'split', target?: string,
+            precision?: number, quantize?: boolean, recordId?: boolean } & DBFOptions & IdOptions):
+        Promise<Shapefile>;
+    export interface ZipLayer {
+        name: string;
+        bbox: number[];
+        prjwkt: string;
+        encoding: string | null;
+        crs: CRSMember | null;
+        metadata: { shp: Promise<SHPMetadata> | null, dbf: Promise<DBFMetadata> | null };
+        features(): AsyncIterable<Feature>;
+    }
+    export function openZip(source: ReadableStream | RandomAccessSource,
+        options?: { encoding?: string, prjwkt?: string, withM?: boolean, filter?: BBox | GeoJSON,
+            antimeridian?: 'clamp' | 'split', target?: string,
+            precision?: number, quantize?: boolean, recordId?: boolean } & DBFOptions & IdOptions):
+        Promise<ZipLayer[]>;
+    export function writeShapefile(features: AsyncIterable<Feature> | Iterable<Feature>,
+        prjwkt?: string, withM?: boolean): Promise<ShapefileParts>;
 }
@@ -0,0 +1,260 @@
+import { shpRecord, shpHeader, dbfHeader, dbfFields, dbfRecord, dbfDates, dbfNumbers, dbfDeleted,
+    shpMetadata, dbfMetadata, readBytes, fieldId, projector, crsMember, geographic } from './common.js';
+import { memoReader } from './memo.js';
+import { ldidEncoding } from './encoding.js';
+import { antimeridian, antimeridianBBox, antimeridianModes } from './antimeridian.js';
+import { workerPool } from './pool.js';
+import { precisionOption, rounder } from './precision.js';
+
+const batchSize = 4096;     // records read at once by features()
+
+/**
+ * Opens a shapefile for reading records by their numbers
+ * using the SHX index.
+ * @param {{shp: any, shx: any, dbf?: any, memo?: any}} sources random-access sources:
+ *   ArrayBuffers, typed arrays, Blobs or Node FileHandles.
+ *   The memo is the DBT or FPT file.
+ * @param {object} [options]
+ * @param {string} [options.prjwkt] Projection in WKT format.
+ * @param {boolean} [options.withM] Include the M coordinate.
+ * @param {string} [options.encoding] of text fields in the DBF records,
+ *   by default derived from the language driver ID of the DBF header.
+ * @param {string} [options.antimeridian] 'clamp' or 'split', see SHPTransform.
+ * @param {string} [options.target] Target projection, see SHPTransform.
+ * @param {string} [options.dates] see DBFTransform.
+ * @param {string} [options.numbers] see DBFTransform.
+ * @param {string} [options.deleted] Policy for the records marked deleted
+ *   in the DBF: 'skip' (default), 'keep-with-flag' or 'keep-null-properties',
+ *   see stitch.
+ * @param {number} [options.precision] see SHPTransform.
+ * @param {boolean} [options.quantize] see SHPTransform.
+ * @param {boolean} [options.recordId] Set the feature ids to the 1-based record
+ *   numbers, which must be sequential.
+ * @param {string} [options.idField] see stitch.
+ * @param {boolean} [options.removeIdField] see stitch.
+ * @param {number} [options.jobs] Number of workers decoding the records
+ *   read by features(), 1 (no workers) by default.
+ */
+export async function openIndexed(sources, options = {}) {
+    const { shp, shx, dbf } = sources ?? {};
+    if (!shp || !shx)
+        throw new TypeError('openIndexed: first arg: shp and shx sources expected.');
+    const { prjwkt = '', withM = false, encoding = '', antimeridian: mode, target = '',
+        dates = 'string', numbers = 'number', precision, quantize = false, jobs = 1,
+        recordId = false, idField = null, removeIdField = false, deleted = 'skip' } = options;
+    if (prjwkt && typeof prjwkt != 'string')
+        throw new TypeError('openIndexed: prjwkt: string expected.');
+    if (encoding && typeof encoding != 'string')
+        throw new TypeError('openIndexed: encoding: string expected.');
+    if (mode && !antimeridianModes.includes(mode))
+        throw new TypeError('openIndexed: antimeridian: \'clamp\' or \'split\' expected.');
+    if (target && typeof target != 'string')
+        throw new TypeError('openIndexed: target: string expected.');
+    if (!dbfDates.includes(dates))
+        throw new TypeError(`openIndexed: dates: one of ${dbfDates.join(', ')} expected.`);
+    if (!dbfNumbers.includes(numbers))
+        throw new TypeError(`openIndexed: numbers: one of ${dbfNumbers.join(', ')} expected.`);
+    if (!dbfDeleted.includes(deleted))
+        throw new TypeError(`openIndexed: deleted: one of ${dbfDeleted.join(', ')} expected.`);
+    if (idField != null && typeof idField != 'string')
+        throw new TypeError('openIndexed: idField: string expected.');
+    if (!Number.isInteger(jobs) || jobs < 1)
+        throw new TypeError('openIndexed: jobs: positive integer expected.');
+    const round = precisionOption('openIndexed', options);
+    const project = projector(prjwkt, target, 'openIndexed');
+    if (mode && !geographic(target, 'openIndexed'))
+        throw new TypeError('openIndexed: antimeridian: target in longitudes and latitudes expected.');
+    let decoder = new TextDecoder(encoding || 'latin1');
+    //
+    const header = shpHeader(await readBytes(shx, 0, 100), project);
+    const count = (header.filesize - 100) / 8;
+    if (!Number.isInteger(count) || count < 0)
+        throw new TypeError('openIndexed: SHX file size is wrong.');
+    if (mode)
+        antimeridianBBox(header.bbox, mode);
+    const shpmeta = shpMetadata(header);
+    round?.bbox(header.bbox);
+    delete shpmeta.filesize;    // of the SHX
+    let table = null;
+    if (dbf) {
+        const dbfhdr = dbfHeader(await readBytes(dbf, 0, 32));
+        if (!encoding)
+            decoder = new TextDecoder(ldidEncoding(dbfhdr.ldid) ?? 'latin1');
+        const fields = dbfFields(await readBytes(dbf, 0, dbfhdr.hdrlen), dbfhdr, decoder);
+        if (dbfhdr.numrec != count)
+            throw new TypeError(`openIndexed: ${count} shapes but ${dbfhdr.numrec} dbf records.`);
+        const memo = sources.memo ? memoReader(sources.memo, dbfhdr.memo, decoder) : null;
+        table = { ...dbfhdr, fields, memo };
+    }
+    if (idField && !table?.fields.some(f => f.name == idField))
+        throw new TypeError(`openIndexed: idField: no field ${idField}.`);
+
+    const context = { project, withM, mode, table, decoder, dates, numbers, precision, quantize,
+        recordId, idField, removeIdField, deleted };
+
+    /**
+     * Reads the records in the range, decoding them in a worker if there is the pool.
+     * @param {number} start
+     * @param {number} num
+     * @param {ReturnType<typeof workerPool>} [pool]
+     * @returns {Promise<GeoJSON.Feature[]>}
+     */
+    async function batch(start, num, pool) {
+        const index = new DataView(await readBytes(shx, 100 + 8 * start, 8 * num));
+        const first = index.getInt32(0) * 2;
+        const last = index.getInt32(8 * (num - 1)) * 2 + 8 + index.getInt32(8 * (num - 1) + 4) * 2;
+        const bytes = await readBytes(shp, first, last - first);
+        if (bytes.byteLength != last - first)
+            throw new TypeError('openIndexed: SHP file too short.');
+        let rows = null;
+        if (table)
+            rows = await readBytes(dbf, table.hdrlen + start * table.reclen, num * table.reclen);
+        const offsets = new Int32Array(num);
+        for (let i = 0; i < num; i++)
+            offsets[i] = index.getInt32(8 * i) * 2 - first + 8;
+        const features = pool
+            ? await pool.run({ bytes, offsets, rows, start },
+                rows ? [bytes, offsets.buffer, rows] : [bytes, offsets.buffer])
+            : decodeBatch(bytes, offsets, rows, start, context);
+        if (table?.memo) {
+            for (const feature of features) {
+                if (feature.properties)
+                    await table.memo.resolve(feature.properties, table.fields, table.flavor);
+            }
+        }
+        return features;
+    }
+
+    return {
+        /** Number of records. */
+        count,
+        /** Bounding box from the SHP header. */
+        bbox: header.bbox,
+        /** Encoding of the DBF text fields. */
+        encoding: decoder.encoding,
+        /** GeoJSON "crs" member if the target projection is not WGS84. */
+        crs: crsMember(target, 'openIndexed'),
+        /** Metadata from the headers, see SHPTransform and DBFTransform. */
+        metadata: {
+            shp: shpmeta,
+            dbf: table ? dbfMetadata(table, table.fields, decoder.encoding) : null
+        },
+        /**
+         * Reads the record by its 0-based number, null if it is deleted
+         * and the policy is 'skip'.
+         * @param {number} n
+         */
+        async feature(n) {
+            if (!Number.isInteger(n) || n < 0 || n >= count)
+                throw new TypeError(`openIndexed: record ${n} out of range.`);
+            const [feature] = await batch(n, 1);
+            return feature ?? null;
+        },
+        /**
+         * Returns the 0-based number of the record of the feature at the 0-based position,
+         * which differ if the deleted records are skipped, count if there are fewer features.
+         * Only the deletion flags of the DBF rows are looked at.
+         * @param {number} position
+         */
+        async recordOf(position) {
+            if (!Number.isInteger(position) || position < 0)
+                throw new TypeError('openIndexed: position: non-negative integer expected.');
+            if (!table || deleted != 'skip')
+                return Math.min(position, count);
+            let left = position;
+            for (let n = 0; n < count; n += batchSize) {
+                const num = Math.min(batchSize, count - n);
+                const rows = new Uint8Array(
+                    await readBytes(dbf, table.hdrlen + n * table.reclen, num * table.reclen));
+                for (let i = 0; i < num; i++) {
+                    if (rows[i * table.reclen] == 0x2a)
+                        continue;
+                    if (left == 0)
+                        return n + i;
+                    left--;
+                }
+            }
+            return count;
+        },
+        /**
+         * Yields the records in the range, without the deleted ones if the policy is 'skip'.
+         * @param {number} [start] 0-based number of the first record
+         * @param {number} [limit] max number of records
+         */
+        async* features(start = 0, limit = Infinity) {
+            if (!Number.isInteger(start) || start < 0)
+                throw new TypeError('openIndexed: start: non-negative integer expected.');
+            const end = Math.min(count, start + limit);
+            if (jobs == 1 || end - start <= batchSize) {
+                for (let n = start; n < end; n += batchSize)
+                    yield* await batch(n, Math.min(batchSize, end - n));
+                return;
+            }
+            const pool = await workerPool(jobs, {
+                prjwkt, target, withM, mode, dates, numbers, precision, quantize, encoding: decoder.encoding,
+                recordId, idField, removeIdField, deleted,
+                table: table && { fields: table.fields, flavor: table.flavor, reclen: table.reclen }
+            });
+            try {
+                // the batches in progress, in the order of the records
+                const queue = [];
+                for (let n = start; n < end || queue.length > 0;) {
+                    while (n < end && queue.length < 2 * jobs) {
+                        const promise = batch(n, Math.min(batchSize, end - n), pool);
+                        promise.catch(() => {});    // handled when awaited
+                        queue.push(promise);
+                        n += batchSize;
+                    }
+                    yield* await queue.shift();
+                }
+            } finally {
+                pool.close();
+            }
+        }
+    };
+}
+
+/**
+ * Decodes the records read by openIndexed, in the main thread or in a worker.
+ * The memo fields are not resolved.
+ * @param {ArrayBuffer} bytes the SHP records
+ * @param {Int32Array} offsets of the record contents in the bytes
+ * @param {ArrayBuffer | null} rows the DBF records
+ * @param {number} start 0-based number of the first record
+ * @param {object} context
+ * @returns {GeoJSON.Feature[]}
+ */
+export function decodeBatch(bytes, offsets, rows, start, context) {
+    const { project, withM, mode, table, decoder, dates, numbers, precision, quantize,
+        recordId, idField, removeIdField, deleted } = context;
+    const round = precision == null ? null : rounder(precision, quantize);
+    const features = [];
+    const view = new DataView(bytes);
+    for (let i = 0; i < offsets.length; i++) {
+        const rec = rows ? new DataView(rows, i * table.reclen, table.reclen) : null;
+        const isDeleted = rec?.getUint8(0) == 0x2a;
+        if (isDeleted && deleted == 'skip')
+            continue;
+        const feature = shpRecord(bytes, offsets[i], project, withM, undefined, mode == 'split');
+        if (mode)
+            antimeridian(feature, mode);
+        round?.feature(feature);
+        if (recordId) {
+            const number = view.getInt32(offsets[i] - 8);
+            if (number != start + i + 1)
+                throw new TypeError(
+                    `openIndexed: record ${start + i}: record number ${number}, ${start + i + 1} expected.`);
+            feature.id = number;
+        }
+        if (rec) {
+            if (!isDeleted || deleted == 'keep-with-flag')
+                feature.properties = dbfRecord(rec, table.fields, decoder, table.flavor, { dates, numbers });
+            if (isDeleted && deleted == 'keep-with-flag')
+                feature.deleted = true;
+            if (idField)
+                fieldId(feature, idField, removeIdField, 'openIndexed');
+        }
+        features.push(feature);
+    }
+    return features;
+}
@@ -0,0 +1,200 @@
+import { shpHeader, shpMetadata, dbfHeader, dbfFields, dbfMetadata, shapeTypes,
+    readBytes, sourceSize, projector, epsgCode } from './common.js';
+import { ldidEncoding } from './encoding.js';
+
+const blockSize = 1 << 20;  // bytes read at once by the deep check
+
+/**
+ * Summarizes a shapefile from the headers, without converting it.
+ * The records are scanned only for the deep check.
+ * @param {{shp: any, shx?: any, dbf?: any}} sources random-access sources, see openIndexed.
+ * @param {object} [options]
+ * @param {string} [options.prjwkt] contents of the .prj file.
+ * @param {string} [options.encoding] of DBF text fields, from the .cpg file or the user.
+ * @param {boolean} [options.deep] Scan the records to count the SHP records,
+ *   the null shapes and the deleted DBF rows.
+ */
+export async function inspect(sources, options = {}) {
+    const { shp, shx, dbf } = sources;
+    const { prjwkt = '', encoding = '', deep = false } = options;
+    const problems = [];
+    const identity = projector('');
+    //
+    const shpsize = await sourceSize(shp);
+    const header = shpHeader(await readBytes(shp, 0, 100), identity);
+    const info = {
+        shp: { ...shpMetadata(header), records: null, nullShapes: null },
+        shx: null,
+        dbf: null,
+        crs: prjwkt ? crsInfo(prjwkt) : null,
+        /** do the record counts agree, null if there is nothing to compare */
+        agree: null,
+        problems
+    };
+    if (header.filesize != shpsize)
+        problems.push(`SHP header file size ${header.filesize}, actual ${shpsize}.`);
+    if (deep)
+        Object.assign(info.shp, await scanShp(shp, shpsize, problems));
+    if (shx) {
+        const size = await sourceSize(shx);
+        const records = (size - 100) / 8;
+        info.shx = { records: Number.isInteger(records) ? records : null };
+        if (info.shx.records == null)
+            problems.push(`SHX file size ${size} is wrong.`);
+    }
+    if (dbf) {
+        const size = await sourceSize(dbf);
+        const hdr = dbfHeader(await readBytes(dbf, 0, 32));
+        const detected = ldidEncoding(hdr.ldid);
+        const decoder = new TextDecoder(encoding || detected || 'latin1');
+        const fields = dbfFields(await readBytes(dbf, 0, hdr.hdrlen), hdr, decoder);
+        const { count, ...meta } = dbfMetadata(hdr, fields, decoder.encoding);
+        info.dbf = {
+            ...meta,
+            /** where the encoding comes from */
+            encodingSource: encoding ? 'given' : detected ? 'ldid' : 'default',
+            records: count,
+            deleted: deep ? await scanDbf(dbf, hdr, size) : null
+        };
+        const expected = hdr.hdrlen + hdr.numrec * hdr.reclen;
+        if (size != expected && size != expected + 1)
+            problems.push(`DBF file size ${size}, expected ${expected} from the header.`);
+    }
+    const counts = [info.shp.records, info.shx?.records, info.dbf?.records]
+        .filter(n => n != null);
+    if (counts.length > 1)
+        info.agree = counts.every(n => n == counts[0]);
+    if (info.agree === false)
+        problems.push('The record counts differ.');
+    return info;
+}
+
+/**
+ * The name and the EPSG code of the coordinate system from the WKT.
+ * @param {string} wkt
+ */
+function crsInfo(wkt) {
+    // not WKT but a proj string or a code like 'EPSG:4326'
+    const name = wkt.match(/^\s*\w+\[\s*"([^"]*)"/)?.[1] ?? wkt.trim();
+    return { name, epsg: epsgCode(wkt) };
+}
+
+/**
+ * Returns the function reading the bytes at the position through a buffer.
+ * @param {any} source
+ */
+function blockReader(source) {
+    let start = 0;
+    let buffer = new ArrayBuffer(0);
+    /**
+     * @param {number} pos
+     * @param {number} n
+     * @returns {Promise<DataView | null>} null at the end of the source
+     */
+    return async (pos, n) => {
+        if (pos < start || pos + n > start + buffer.byteLength) {
+            buffer = await readBytes(source, pos, Math.max(n, blockSize));
+            start = pos;
+        }
+        if (pos + n > start + buffer.byteLength)
+            return null;
+        return new DataView(buffer, pos - start, n);
+    };
+}
+
+/**
+ * Counts the SHP records and the null shapes walking the record headers.
+ * @param {any} shp
+ * @param {number} size
+ * @param {string[]} problems
+ */
+async function scanShp(shp, size, problems) {
+    const read = blockReader(shp);
+    let records = 0, nullShapes = 0;
+    let misnumbered = false;
+    let pos = 100;
+    while (pos < size) {
+        const dv = await read(pos, 12);
+        const length = dv ? dv.getInt32(4) * 2 : -1;
+        if (!dv || length < 4 || pos + 8 + length > size) {
+            problems.push(`SHP record ${records} at ${pos} is truncated or corrupted.`);
+            break;
+        }
+        if (dv.getInt32(0) != records + 1 && !misnumbered) {
+            problems.push(`SHP record ${records} has number ${dv.getInt32(0)}.`);
+            misnumbered = true;     // reported once
+        }
+        const type = dv.getInt32(8, true);
+        if (type == 0)
+            nullShapes++;
+        else if (!(type in shapeTypes))
+            problems.push(`SHP record ${records} has shape type ${type}.`);
+        records++;
+        pos += 8 + length;
+    }
+    return { records, nullShapes };
+}
+
+/**
+ * Counts the deleted DBF rows.
+ * @param {any} dbf
+ * @param {ReturnType<typeof dbfHeader>} header
+ * @param {number} size
+ */
+async function scanDbf(dbf, header, size) {
+    const read = blockReader(dbf);
+    const { hdrlen, reclen, numrec } = header;
+    let deleted = 0;
+    for (let i = 0; i < numrec && hdrlen + (i + 1) * reclen <= size; i++) {
+        const dv = await read(hdrlen + i * reclen, 1);
+        if (dv.getUint8(0) == 0x2a)
+            deleted++;
+    }
+    return deleted;
+}
+
+/**
+ * Formats the summary returned by inspect as text.
+ * @param {Awaited<ReturnType<typeof inspect>>} info
+ */
+export function formatInfo(info) {
+    const { shp, shx, dbf, crs } = info;
+    const lines = [];
+    const line = (label, text) => lines.push(`${label.padEnd(14)}${text}`);
+    const range = (min, max) => `${min} .. ${max}`;
+    line('Shape type:', `${shp.shapeType}, version ${shp.version}`);
+    const counts = [
+        `SHP ${shp.records ?? 'not counted'}`,
+        `SHX ${shx ? shx.records ?? 'invalid' : 'missing'}`,
+        `DBF ${dbf ? dbf.records : 'missing'}`
+    ];
+    const agree = info.agree == null ? '' : info.agree ? ', agree' : ', DIFFER';
+    line('Records:', counts.join(', ') + agree);
+    const [xmin, ymin, xmax, ymax, zmin, zmax, mmin, mmax] = shp.extent;
+    line('Extent:', `x ${range(xmin, xmax)}, y ${range(ymin, ymax)}`);
+    if (/Z$/.test(shp.shapeType) || shp.shapeType == 'MultiPatch')
+        line('', `z ${range(zmin, zmax)}, m ${range(mmin, mmax)}`);
+    else if (/M$/.test(shp.shapeType))
+        line('', `m ${range(mmin, mmax)}`);
+    if (!crs)
+        line('CRS:', 'unknown, no .prj file');
+    else
+        line('CRS:', `${crs.name}${crs.epsg ? ` (EPSG:${crs.epsg})` : ''}`);
+    line('Null shapes:', shp.nullShapes ?? 'not checked');
+    if (dbf) {
+        const sources = { given: 'from .cpg or --encoding', ldid: 'from the DBF header', default: 'default' };
+        line('Encoding:', `${dbf.encoding} (${sources[dbf.encodingSource]})`);
+        line('Deleted rows:', dbf.deleted ?? 'not checked');
+        line('DBF:', `${dbf.flavor}, version 0x${dbf.version.toString(16)}` +
+            (dbf.updated ? `, updated ${dbf.updated}` : ''));
+        line('Fields:', dbf.fields.length);
+        const width = Math.max(0, ...dbf.fields.map(f => f.name.length));
+        for (const f of dbf.fields) {
+            const size = f.decimals ? `${f.size}.${f.decimals}` : `${f.size}`;
+            lines.push(`  ${f.name.padEnd(width)}  ${f.type} ${size}`);
+        }
+    }
+    for (const problem of info.problems)
+        line('Problem:', problem);
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+import { writeShapefile } from './parser.js';
+import { createReadStream, readFileSync, createWriteStream } from 'node:fs';
+import { Writable } from 'node:stream';
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+
+const usage = `
+GeoJSON to Shapefile converter.
+Options:
+  -i, --input      Path to input GeoJSON file
+  -o, --output     Path to output files (without extension)
+  -n, --ndjson     Input is newline-delimited Feature records
+      --prj        Path to the .prj file to copy to the output
+      --withM      The last coordinate of the positions is 'M'
+  -h, --help       Show this help and exit
+      --version    Show version number and exit
+`;
+
+const { args } = (() => {
+    try {
+        const { values } = parseArgs({
+            options: {
+                input: { type: 'string', short: 'i' },
+                output: { type: 'string', short: 'o' },
+                ndjson: { type: 'boolean', short: 'n', default: false },
+                prj: { type: 'string' },
+                withM: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h' },
+                version: { type: 'boolean' }
+            },
+            allowPositionals: false,
+            strict: true
+        });
+        if (values.help) {
+            console.log(usage);
+            process.exit(0);
+        }
+        if (values.version) {
+            version();
+            process.exit(0);
+        }
+        return { args: values };
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+})();
+
+if (!args.input)
+    quit('Input file not specified\n' + usage);
+if (!args.output)
+    quit('Output files not specified\n' + usage);
+if (args.output.endsWith('.shp') || args.output.endsWith('.SHP'))
+    args.output = args.output.substring(0, args.output.length - 4);
+
+const prjwkt = (() => {
+    if (!args.prj)
+        return '';
+    try {
+        return readFileSync(args.prj, 'utf-8');
+    } catch (err) {
+        quit(err.message);
+    }
+})();
+
+const features = args.ndjson ? ndjson(args.input) : (() => {
+    try {
+        const json = JSON.parse(readFileSync(args.input, 'utf-8'));
+        if (json.type == 'FeatureCollection')
+            return json.features;
+        if (json.type == 'Feature')
+            return [json];
+        quit('Input is neither FeatureCollection nor Feature');
+    } catch (err) {
+        quit(err.message);
+    }
+})();
+
+try {
+    const parts = await writeShapefile(features, prjwkt, args.withM);
+    for (const ext of ['shp', 'shx', 'dbf', 'prj', 'cpg']) {
+        if (parts[ext])
+            await parts[ext].pipeTo(Writable.toWeb(createWriteStream(`${args.output}.${ext}`)));
+    }
+} catch (err) {
+    quit(err.message);
+}
+
+/**
+ * @param {string} fn
+ */
+async function* ndjson(fn) {
+    const lines = createInterface({ input: createReadStream(fn), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim())
+            yield JSON.parse(line);
+    }
+}
+
+function version() {
+    let version = 'unknown';
+    try {
+        const url = new URL('./package.json', import.meta.url);
+        const pkg = JSON.parse(readFileSync(url, 'utf-8'));
+        version = pkg.version;
+    } catch {
+        console.error('Installation problem: package.json missing or corrupted.');
+    }
+    console.log(`App version: ${version}, Node: ${process.versions.node}`);
+}
+
+function quit(msg) {
+    console.error(msg);
+    process.exit(1);
+}
@@ -0,0 +1,103 @@
+import { dbfMemoField, readBytes, readAll } from './common.js';
+
+/**
+ * Returns a reader of memo fields from a DBT or FPT file.
+ * A ReadableStream source is read entirely on the first use,
+ * random-access sources are read block by block.
+ * @param {ReadableStream | ArrayBuffer | ArrayBufferView | Blob | import('node:fs/promises').FileHandle} source
+ * @param {string} format 'dbt3', 'dbt4' or 'fpt', as returned by dbfHeader
+ * @param {TextDecoder} decoder for the text memos
+ */
+export function memoReader(source, format, decoder) {
+    /** @type {Promise<ArrayBuffer> | null} */
+    let loading = null;
+    let blocksize = 0;
+
+    /**
+     * @param {number} offset
+     * @param {number} length
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async function read(offset, length) {
+        if (source instanceof ReadableStream) {
+            loading ??= readAll(source);
+            return (await loading).slice(offset, offset + length);
+        }
+        return readBytes(source, offset, length);
+    }
+
+    async function init() {
+        const dv = new DataView(await read(0, 512));
+        if (format == 'fpt')
+            blocksize = dv.getUint16(6) || 64;
+        else if (format == 'dbt4')
+            blocksize = dv.getUint16(20, true) || 512;
+        else
+            blocksize = 512;
+    }
+
+    /**
+     * Reads the memo until the 0x1a terminator, dBase III style.
+     * @param {number} offset
+     */
+    async function scan(offset) {
+        const parts = [];
+        let length = 0;
+        while (true) {
+            const bytes = new Uint8Array(await read(offset + length, 512));
+            const end = bytes.indexOf(0x1a);
+            parts.push(bytes.subarray(0, end < 0 ? bytes.length : end));
+            length += parts[parts.length - 1].length;
+            if (end >= 0 || bytes.length < 512)
+                break;
+        }
+        const data = new Uint8Array(length);
+        let pos = 0;
+        for (const part of parts) {
+            data.set(part, pos);
+            pos += part.length;
+        }
+        return data;
+    }
+
+    /**
+     * Reads the memo contents by the block number.
+     * @param {number} block
+     * @returns {Promise<Uint8Array>}
+     */
+    async function memo(block) {
+        if (!blocksize)
+            await init();
+        const offset = block * blocksize;
+        if (format == 'dbt3')
+            return scan(offset);
+        const dv = new DataView(await read(offset, 8));
+        if (dv.byteLength < 8)
+            throw new TypeError(`DBFTransform: memo block ${block} not found.`);
+        if (format == 'fpt')
+            return new Uint8Array(await read(offset + 8, dv.getUint32(4)));
+        if (dv.getUint32(0) != 0xffff0800)
+            return scan(offset);
+        // the length includes the 8 bytes of the block header
+        return new Uint8Array(await read(offset + 8, dv.getUint32(4, true) - 8));
+    }
+
+    return {
+        /**
+         * Replaces block numbers in the memo fields of the row
+         * with the text, or the bytes for the binary memos.
+         * @param {Object} row
+         * @param {Array} fields
+         * @param {string} flavor as returned by dbfHeader
+         */
+        async resolve(row, fields, flavor) {
+            for (const { name, type } of fields) {
+                if (!dbfMemoField(type, flavor) || typeof row[name] != 'number')
+                    continue;
+                const data = await memo(row[name]);
+                row[name] = type == 'M' ? decoder.decode(data) : data;
+            }
+            return row;
+        }
+    };
+}
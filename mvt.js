@@ -0,0 +1,573 @@
+import { douglasPeucker } from './simplify.js';
+
+const maxLatitude = 85.0511287798066;   // of the square Web Mercator world
+
+/**
+ * Cuts the features into Mapbox vector tiles (MVT 2.1) for the zoom levels.
+ * The features in longitudes and latitudes are projected to Web Mercator,
+ * then clipped to each tile with a buffer, simplified and encoded.
+ * All the features are kept in memory; the tiles are cut depth-first,
+ * so besides them only the pieces of the tiles on the way to the current
+ * one are. The returned async generator has the property `metadata`,
+ * TileJSON-like, complete once the generator is done.
+ * @param {AsyncIterable<GeoJSON.Feature> | Iterable<GeoJSON.Feature>} features
+ * @param {object} [options]
+ * @param {string} [options.name] of the layer, 'features' by default.
+ * @param {string[]} [options.attributes] The properties kept, all by default.
+ * @param {number} [options.minzoom] 0 by default.
+ * @param {number} [options.maxzoom] 14 by default.
+ * @param {number} [options.extent] Size of the tile in its units, 4096 by default.
+ * @param {number} [options.buffer] Width of the margin around the tile
+ *  in the tile units, 64 by default.
+ * @param {number} [options.tolerance] of the simplification in the tile units,
+ *  1 by default, 0 for none.
+ * @returns {AsyncGenerator<{z: number, x: number, y: number, data: Uint8Array}> & {metadata: object}}
+ */
+export function vectorTiles(features, options = {}) {
+    if (!features || !(Symbol.asyncIterator in features || Symbol.iterator in features))
+        throw new TypeError('vectorTiles: first arg: iterable expected.');
+    if (!options || typeof options != 'object')
+        throw new TypeError('vectorTiles: second arg: object expected.');
+    const { name = 'features', attributes = null, minzoom = 0, maxzoom = 14,
+        extent = 4096, buffer = 64, tolerance = 1 } = options;
+    if (typeof name != 'string' || name == '')
+        throw new TypeError('vectorTiles: name: non-empty string expected.');
+    if (attributes != null && !(Array.isArray(attributes) && attributes.every(a => typeof a == 'string')))
+        throw new TypeError('vectorTiles: attributes: array of strings expected.');
+    if (!Number.isInteger(minzoom) || minzoom < 0 || minzoom > 24)
+        throw new TypeError('vectorTiles: minzoom: integer from 0 to 24 expected.');
+    if (!Number.isInteger(maxzoom) || maxzoom < minzoom || maxzoom > 24)
+        throw new TypeError('vectorTiles: maxzoom: integer from minzoom to 24 expected.');
+    if (!Number.isInteger(extent) || extent < 256)
+        throw new TypeError('vectorTiles: extent: integer from 256 expected.');
+    if (!Number.isInteger(buffer) || buffer < 0)
+        throw new TypeError('vectorTiles: buffer: non-negative integer expected.');
+    if (typeof tolerance != 'number' || !(tolerance >= 0))
+        throw new TypeError('vectorTiles: tolerance: non-negative number expected.');
+    const metadata = {
+        name,
+        format: 'pbf',
+        minzoom,
+        maxzoom,
+        /** [west, south, east, north] of the features */
+        bounds: null,
+        center: null,
+        vector_layers: [{ id: name, fields: {}, minzoom, maxzoom }]
+    };
+    const settings = { name, attributes, minzoom, maxzoom, extent, buffer, tolerance };
+    const tiles = generate(features, settings, metadata);
+    tiles.metadata = metadata;
+    return tiles;
+}
+
+/**
+ * @param {AsyncIterable<GeoJSON.Feature> | Iterable<GeoJSON.Feature>} features
+ * @param {object} settings the options of vectorTiles
+ * @param {object} metadata filled
+ */
+async function* generate(features, settings, metadata) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    const fields = metadata.vector_layers[0].fields;
+    const items = [];
+    for await (const feature of features) {
+        const item = tileItem(feature, settings.attributes, bounds);
+        if (item) {
+            items.push(item);
+            for (const [key, value] of Object.entries(item.properties)) {
+                fields[key] ??= typeof value == 'number' ? 'Number'
+                    : typeof value == 'boolean' ? 'Boolean' : 'String';
+            }
+        }
+    }
+    if (items.length > 0) {
+        metadata.bounds = bounds;
+        metadata.center = [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2, settings.minzoom];
+    }
+    yield* tileTree(items, 0, 0, 0, settings);
+}
+
+/**
+ * Projects the feature to Web Mercator scaled to the unit square, y down.
+ * The shells of the polygons get the positive area, the holes the negative.
+ * @param {GeoJSON.Feature} feature
+ * @param {string[] | null} attributes
+ * @param {number[]} bounds extended by the feature
+ * @returns {{type: number, parts: number[][][], bbox: number[], id: any, properties: object} | null}
+ *  the type is 1 for points, 2 for lines, 3 for polygons
+ */
+function tileItem(feature, attributes, bounds) {
+    const geometry = feature.geometry;
+    if (!geometry)
+        return null;
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    /** @param {GeoJSON.Position} p */
+    const project = (p) => {
+        const lat = Math.max(-maxLatitude, Math.min(maxLatitude, p[1]));
+        bounds[0] = Math.max(-180, Math.min(bounds[0], p[0]));
+        bounds[1] = Math.min(bounds[1], lat);
+        bounds[2] = Math.min(180, Math.max(bounds[2], p[0]));
+        bounds[3] = Math.max(bounds[3], lat);
+        const sin = Math.sin(lat * Math.PI / 180);
+        const x = p[0] / 360 + 0.5;
+        const y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+        bbox[0] = Math.min(bbox[0], x);
+        bbox[1] = Math.min(bbox[1], y);
+        bbox[2] = Math.max(bbox[2], x);
+        bbox[3] = Math.max(bbox[3], y);
+        return [x, y];
+    };
+    const line = (l) => l.map(project);
+    const polygon = (rings) => rings.map((ring, i) => {
+        const r = line(ring);
+        return (area(r) > 0) == (i == 0) ? r : r.reverse();
+    });
+    const c = geometry.coordinates;
+    let type, parts;
+    switch (geometry.type) {
+        case 'Point':
+            [type, parts] = [1, [[project(c)]]];
+            break;
+        case 'MultiPoint':
+            [type, parts] = [1, [line(c)]];
+            break;
+        case 'LineString':
+            [type, parts] = [2, [line(c)]];
+            break;
+        case 'MultiLineString':
+            [type, parts] = [2, c.map(line)];
+            break;
+        case 'Polygon':
+            [type, parts] = [3, polygon(c)];
+            break;
+        case 'MultiPolygon':
+            [type, parts] = [3, c.flatMap(polygon)];
+            break;
+        default:
+            return null;
+    }
+    const properties = {};
+    for (const [key, value] of Object.entries(feature.properties ?? {})) {
+        if (value != null && (!attributes || attributes.includes(key)))
+            properties[key] = value;
+    }
+    return { type, parts, bbox, id: feature.id, properties };
+}
+
+/**
+ * Makes the tile and its descendants, depth-first.
+ * @param {ReturnType<typeof tileItem>[]} items clipped to the tile with the buffer
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {object} settings
+ * @returns {AsyncGenerator<{z: number, x: number, y: number, data: Uint8Array}>}
+ */
+async function* tileTree(items, z, x, y, settings) {
+    if (z >= settings.minzoom) {
+        const data = encodeTile(items, z, x, y, settings);
+        if (data)
+            yield { z, x, y, data };
+    }
+    if (z == settings.maxzoom)
+        return;
+    const size = 1 / 2 ** (z + 1);
+    const k = settings.buffer / settings.extent * size;
+    for (let i = 0; i < 2; i++) {
+        const x0 = (2 * x + i) * size;
+        const strip = clipItems(items, x0 - k, x0 + size + k, 0);
+        for (let j = 0; j < 2 && strip.length > 0; j++) {
+            const y0 = (2 * y + j) * size;
+            const tile = clipItems(strip, y0 - k, y0 + size + k, 1);
+            if (tile.length > 0)
+                yield* tileTree(tile, z + 1, 2 * x + i, 2 * y + j, settings);
+        }
+    }
+}
+
+/**
+ * Clips the items to the strip between k1 and k2 on the axis.
+ * @param {ReturnType<typeof tileItem>[]} items
+ * @param {number} k1
+ * @param {number} k2
+ * @param {number} axis 0 for x, 1 for y
+ */
+function clipItems(items, k1, k2, axis) {
+    const result = [];
+    for (const item of items) {
+        const min = item.bbox[axis], max = item.bbox[axis + 2];
+        if (max < k1 || min > k2)
+            continue;
+        if (min >= k1 && max <= k2) {
+            result.push(item);
+            continue;
+        }
+        let parts;
+        if (item.type == 1)
+            parts = [item.parts[0].filter(p => p[axis] >= k1 && p[axis] <= k2)].filter(l => l.length > 0);
+        else if (item.type == 2)
+            parts = item.parts.flatMap(l => clipLine(l, k1, k2, axis));
+        else
+            parts = item.parts.map(r => clipRing(clipRing(r, k1, axis, true), k2, axis, false));
+        // a hole left without its shell is dropped
+        if (item.type == 3)
+            parts = parts.filter((r, i) => r && (area(r) > 0 || parts.slice(0, i).some(s => s && area(s) > 0)));
+        if (parts.length == 0)
+            continue;
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const part of parts) {
+            for (const [x, y] of part) {
+                bbox[0] = Math.min(bbox[0], x);
+                bbox[1] = Math.min(bbox[1], y);
+                bbox[2] = Math.max(bbox[2], x);
+                bbox[3] = Math.max(bbox[3], y);
+            }
+        }
+        result.push({ ...item, parts, bbox });
+    }
+    return result;
+}
+
+/**
+ * The point of the segment ab at k on the axis.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number} k
+ * @param {number} axis
+ */
+function intersect(a, b, k, axis) {
+    const t = (k - a[axis]) / (b[axis] - a[axis]);
+    return axis == 0 ? [k, a[1] + (b[1] - a[1]) * t] : [a[0] + (b[0] - a[0]) * t, k];
+}
+
+/**
+ * Clips the line to the strip, it may fall into several pieces.
+ * @param {number[][]} line
+ * @param {number} k1
+ * @param {number} k2
+ * @param {number} axis
+ * @returns {number[][][]}
+ */
+function clipLine(line, k1, k2, axis) {
+    const pieces = [];
+    let piece = [];
+    const end = () => {
+        if (piece.length >= 2)
+            pieces.push(piece);
+        piece = [];
+    };
+    for (let i = 0; i < line.length - 1; i++) {
+        const a = line[i], b = line[i + 1];
+        const ak = a[axis], bk = b[axis];
+        if (ak < k1) {
+            if (bk > k1) {
+                piece.push(intersect(a, b, k1, axis));
+                if (bk > k2) {
+                    piece.push(intersect(a, b, k2, axis));
+                    end();
+                }
+            }
+        } else if (ak > k2) {
+            if (bk < k2) {
+                piece.push(intersect(a, b, k2, axis));
+                if (bk < k1) {
+                    piece.push(intersect(a, b, k1, axis));
+                    end();
+                }
+            }
+        } else {
+            piece.push(a);
+            if (bk < k1) {
+                piece.push(intersect(a, b, k1, axis));
+                end();
+            } else if (bk > k2) {
+                piece.push(intersect(a, b, k2, axis));
+                end();
+            }
+        }
+    }
+    const last = line[line.length - 1];
+    if (last[axis] >= k1 && last[axis] <= k2)
+        piece.push(last);
+    end();
+    return pieces;
+}
+
+/**
+ * Clips the closed ring to the half-plane (Sutherland-Hodgman).
+ * @param {number[][] | null} ring
+ * @param {number} k
+ * @param {number} axis
+ * @param {boolean} above keep the side above k
+ * @returns {number[][] | null} null if less than four positions are left
+ */
+function clipRing(ring, k, axis, above) {
+    if (!ring)
+        return null;
+    const inside = (p) => above ? p[axis] >= k : p[axis] <= k;
+    const result = [];
+    for (let i = 0; i < ring.length - 1; i++) {
+        const a = ring[i], b = ring[i + 1];
+        const ain = inside(a);
+        if (ain)
+            result.push(a);
+        if (ain != inside(b))
+            result.push(intersect(a, b, k, axis));
+    }
+    if (result.length == 0)
+        return null;
+    result.push(result[0]);
+    return result.length >= 4 ? result : null;
+}
+
+/**
+ * Doubled signed area of the closed ring, positive for the clockwise
+ * rings in the coordinates with y down.
+ * @param {number[][]} ring
+ */
+function area(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++)
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    return sum;
+}
+
+/**
+ * Encodes the items in the tile coordinates, returns null if nothing is left.
+ * @param {ReturnType<typeof tileItem>[]} items
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {object} settings
+ */
+function encodeTile(items, z, x, y, settings) {
+    const { extent, tolerance } = settings;
+    const scale = extent * 2 ** z;
+    const tol = tolerance / scale;
+    /** @param {number[][]} line */
+    const quantize = (line) => {
+        const result = [];
+        for (const p of line) {
+            const q = [Math.round(p[0] * scale - x * extent), Math.round(p[1] * scale - y * extent)];
+            const last = result[result.length - 1];
+            if (!last || last[0] != q[0] || last[1] != q[1])
+                result.push(q);
+        }
+        return result;
+    };
+    const layer = layerWriter(settings.name, extent);
+    for (const item of items) {
+        let parts = [];
+        if (item.type == 1)
+            parts = item.parts.map(quantize);
+        else if (item.type == 2) {
+            for (const line of item.parts) {
+                const q = quantize(tol > 0 ? douglasPeucker(line, tol, 2) : line);
+                if (q.length >= 2)
+                    parts.push(q);
+            }
+        } else {
+            let shell = false;  // is the current shell kept
+            for (const ring of item.parts) {
+                const outer = area(ring) > 0;
+                if (!outer && !shell)
+                    continue;
+                const q = quantize(tol > 0 ? douglasPeucker(ring, tol, 4) : ring);
+                // the collapsed or turned over rings are dropped
+                const kept = q.length >= 4 && (area(q) > 0) == outer;
+                if (outer)
+                    shell = kept;
+                if (kept)
+                    parts.push(q);
+            }
+        }
+        if (parts.length > 0 && parts[0].length > 0)
+            layer.feature(item, parts);
+    }
+    if (layer.count == 0)
+        return null;
+    const tile = protobuf();
+    tile.message(3, layer.finish());
+    return tile.finish();
+}
+
+/**
+ * Collects the features of the layer and their keys and values.
+ * @param {string} name
+ * @param {number} extent
+ */
+function layerWriter(name, extent) {
+    const features = protobuf();
+    /** @type {Map<string, number>} */
+    const keys = new Map();
+    /** @type {Map<string, number>} */
+    const values = new Map();
+    const valueMessages = [];
+    const index = (map, key) => {
+        if (!map.has(key))
+            map.set(key, map.size);
+        return map.get(key);
+    };
+    /**
+     * Index of the value, as the Value message is keyed by its type and contents.
+     * @param {any} v
+     */
+    const value = (v) => {
+        if (typeof v == 'bigint')
+            v = Number.isSafeInteger(Number(v)) ? Number(v) : String(v);
+        else if (v instanceof Date)
+            v = v.toISOString();
+        else if (typeof v == 'object')
+            v = JSON.stringify(v);
+        const key = `${typeof v}:${v}`;
+        if (!values.has(key)) {
+            const msg = protobuf();
+            if (typeof v == 'string')
+                msg.string(1, v);
+            else if (typeof v == 'boolean')
+                msg.uint(7, v ? 1 : 0);
+            else if (Number.isSafeInteger(v) && v >= 0)
+                msg.uint(5, v);
+            else if (Number.isSafeInteger(v))
+                msg.uint(6, -2 * v - 1);    // zigzag
+            else
+                msg.double(3, v);
+            values.set(key, values.size);
+            valueMessages.push(msg.finish());
+        }
+        return values.get(key);
+    };
+    let count = 0;
+    return {
+        get count() {
+            return count;
+        },
+        /**
+         * @param {ReturnType<typeof tileItem>} item
+         * @param {number[][][]} parts in the tile coordinates
+         */
+        feature(item, parts) {
+            const feature = protobuf();
+            if (Number.isSafeInteger(item.id) && item.id >= 0)
+                feature.uint(1, item.id);
+            const tags = [];
+            for (const [k, v] of Object.entries(item.properties))
+                tags.push(index(keys, k), value(v));
+            if (tags.length > 0)
+                feature.packed(2, tags);
+            feature.uint(3, item.type);
+            feature.packed(4, geometryCommands(item.type, parts));
+            features.message(2, feature.finish());
+            count++;
+        },
+        finish() {
+            const layer = protobuf();
+            layer.uint(15, 2);
+            layer.string(1, name);
+            layer.raw(features.finish());
+            for (const key of keys.keys())
+                layer.string(3, key);
+            for (const msg of valueMessages)
+                layer.message(4, msg);
+            layer.uint(5, extent);
+            return layer.finish();
+        }
+    };
+}
+
+/**
+ * The MoveTo, LineTo and ClosePath commands drawing the parts.
+ * @param {number} type 1, 2 or 3
+ * @param {number[][][]} parts the points, the lines or the closed rings
+ */
+function geometryCommands(type, parts) {
+    const result = [];
+    const command = (id, count) => result.push((id & 7) | (count << 3));
+    const zigzag = (v) => (v << 1) ^ (v >> 31);
+    let cx = 0, cy = 0;
+    const to = (p) => {
+        result.push(zigzag(p[0] - cx), zigzag(p[1] - cy));
+        [cx, cy] = p;
+    };
+    if (type == 1) {
+        const points = parts.flat();
+        command(1, points.length);
+        points.forEach(to);
+        return result;
+    }
+    for (const part of parts) {
+        const n = type == 3 ? part.length - 1 : part.length;
+        command(1, 1);
+        to(part[0]);
+        command(2, n - 1);
+        for (let i = 1; i < n; i++)
+            to(part[i]);
+        if (type == 3)
+            command(7, 1);
+    }
+    return result;
+}
+
+/**
+ * Minimal protocol buffers writer.
+ */
+function protobuf() {
+    let bytes = new Uint8Array(256);
+    let pos = 0;
+    const encoder = new TextEncoder();
+    const ensure = (n) => {
+        if (pos + n > bytes.length) {
+            const grown = new Uint8Array(Math.max(2 * bytes.length, pos + n));
+            grown.set(bytes);
+            bytes = grown;
+        }
+    };
+    /** @param {number} v non-negative integer up to 2^53 */
+    const varint = (v) => {
+        ensure(10);
+        while (v >= 0x80) {
+            bytes[pos++] = (v % 0x80) | 0x80;
+            v = Math.floor(v / 0x80);
+        }
+        bytes[pos++] = v;
+    };
+    const tag = (field, wire) => varint(field * 8 + wire);
+    const writer = {
+        uint(field, v) {
+            tag(field, 0);
+            varint(v);
+        },
+        double(field, v) {
+            tag(field, 1);
+            ensure(8);
+            new DataView(bytes.buffer).setFloat64(pos, v, true);
+            pos += 8;
+        },
+        /** @param {Uint8Array} data */
+        message(field, data) {
+            tag(field, 2);
+            varint(data.length);
+            writer.raw(data);
+        },
+        string(field, s) {
+            writer.message(field, encoder.encode(s));
+        },
+        /** @param {number[]} list non-negative integers */
+        packed(field, list) {
+            const inner = protobuf();
+            for (const v of list)
+                inner.varint(v);
+            writer.message(field, inner.finish());
+        },
+        varint,
+        /** @param {Uint8Array} data */
+        raw(data) {
+            ensure(data.length);
+            bytes.set(data, pos);
+            pos += data.length;
+        },
+        finish() {
+            return bytes.subarray(0, pos);
+        }
+    };
+    return writer;
+}
@@ -0,0 +1,276 @@
+import { shpHeader, shpMetadata, dbfHeader, dbfFields, dbfMetadata, readBytes, sourceSize,
+    projector, crsMember, geographic } from './common.js';
+import { cpgEncoding, ldidEncoding } from './encoding.js';
+import { antimeridianBBox, antimeridianModes } from './antimeridian.js';
+import { precisionOption } from './precision.js';
+import { SHPTransform, DBFTransform, stitch } from './parser.js';
+
+const chunkSize = 65536;
+const extensions = ['shp', 'shx', 'dbf', 'prj', 'cpg', 'dbt', 'fpt'];
+
+/**
+ * Opens a shapefile with its sidecar files: the DBF, PRJ, CPG and the memo
+ * (DBT or FPT), found by the name regardless of the letter case.
+ * The headers are read at once, the records when the features are iterated.
+ * @param {string | Iterable<Blob> | Map<string, any> | Object<string, any>} source
+ *  a Node.js path of the .shp file (the extension can be omitted),
+ *  Blobs with names, like Files of a FileList, or a Map or an object
+ *  with the file names as keys and ArrayBuffers, typed arrays or Blobs as values.
+ * @param {object} [options]
+ * @param {string} [options.name] of the shapefile among several, without extension.
+ * @param {string} [options.prjwkt] Source projection, overrides the .prj file.
+ * @param {string} [options.encoding] of DBF text fields, overrides the .cpg file.
+ * @param {boolean} [options.withM] Include the M coordinate.
+ * @param {GeoJSON.BBox | GeoJSON.GeoJSON} [options.filter] see SHPTransform.
+ * @param {string} [options.antimeridian] see SHPTransform.
+ * @param {string} [options.target] see SHPTransform.
+ * @param {number} [options.precision] see SHPTransform.
+ * @param {boolean} [options.quantize] see SHPTransform.
+ * @param {boolean} [options.recordId] see SHPTransform.
+ * @param {string} [options.idField] see stitch.
+ * @param {boolean} [options.removeIdField] see stitch.
+ * @param {string} [options.dates] see DBFTransform.
+ * @param {string} [options.numbers] see DBFTransform.
+ * @param {string} [options.deleted] see DBFTransform.
+ * @param {boolean} [options.lenient] see SHPTransform.
+ * @param {Function} [options.onWarning] see SHPTransform.
+ * @param {Function} [options.onError] see SHPTransform.
+ * @param {AbortSignal} [options.signal] see SHPTransform.
+ * @param {Function} [options.onProgress] see SHPTransform, reports the reading of the SHP file.
+ */
+export async function open(source, options = {}) {
+    if (!options || typeof options != 'object')
+        throw new TypeError('open: second arg: object expected.');
+    const { name: wanted, withM = false, filter = null, antimeridian: mode, target, precision, quantize,
+        recordId, idField, removeIdField, dates, numbers, deleted,
+        lenient = false, onWarning, onError, signal, onProgress } = options;
+    if (wanted != null && typeof wanted != 'string')
+        throw new TypeError('open: name: string expected.');
+    if (options.prjwkt && typeof options.prjwkt != 'string')
+        throw new TypeError('open: prjwkt: string expected.');
+    if (options.encoding && typeof options.encoding != 'string')
+        throw new TypeError('open: encoding: string expected.');
+    if (mode && !antimeridianModes.includes(mode))
+        throw new TypeError('open: antimeridian: \'clamp\' or \'split\' expected.');
+    if (target && typeof target != 'string')
+        throw new TypeError('open: target: string expected.');
+    if (mode && !geographic(target, 'open'))
+        throw new TypeError('open: antimeridian: target in longitudes and latitudes expected.');
+    const round = precisionOption('open', options);
+    const diagnostics = { lenient, onWarning, onError };
+    //
+    const files = typeof source == 'string' ? await pathFiles(source) : namedFiles(source, wanted);
+    const prjwkt = options.prjwkt || (files.prj ? await text(files.prj) : '');
+    let encoding = options.encoding || '';
+    if (!encoding && files.cpg)
+        encoding = cpgEncoding(await text(files.cpg)) ?? '';
+
+    const { shp: shpmeta, dbf: dbfmeta } = await withSources(files, async ({ shp, dbf }) => {
+        const header = shpHeader(await readBytes(shp, 0, 100), projector(prjwkt, target, 'open'));
+        if (mode)
+            antimeridianBBox(header.bbox, mode);
+        round?.bbox(header.bbox);
+        if (!dbf)
+            return { shp: shpMetadata(header), dbf: null };
+        const hdr = dbfHeader(await readBytes(dbf, 0, 32));
+        const decoder = new TextDecoder(encoding || ldidEncoding(hdr.ldid) || 'latin1');
+        const fields = dbfFields(await readBytes(dbf, 0, hdr.hdrlen), hdr, decoder);
+        return { shp: shpMetadata(header), dbf: dbfMetadata(hdr, fields, decoder.encoding) };
+    });
+    if (idField && !dbfmeta)
+        throw new TypeError(`open: idField: ${files.name} has no dbf.`);
+    if (idField && !dbfmeta.fields.some(f => f.name == idField))
+        throw new TypeError(`open: idField: no field ${idField}.`);
+
+    /**
+     * Reads the features, each call anew.
+     * @returns {AsyncGenerator<GeoJSON.Feature>}
+     */
+    async function* features() {
+        yield* await withSources(files, async function* ({ shp, dbf, memo }) {
+            const shpstream = sourceStream(shp).pipeThrough(SHPTransform(Array(4), prjwkt, withM,
+                { filter, antimeridian: mode, target, precision, quantize, recordId, signal, onProgress,
+                    ...diagnostics }));
+            if (!dbf) {
+                yield* shpstream;
+                return;
+            }
+            const dbfstream = sourceStream(dbf).pipeThrough(DBFTransform(encoding, memo ?? undefined,
+                { dates, numbers, deleted, signal, ...diagnostics }));
+            yield* stitch(shpstream, dbfstream, { signal, idField, removeIdField, ...diagnostics });
+        });
+    }
+
+    return {
+        /** name of the .shp file without extension */
+        name: files.name,
+        /** bounding box from the SHP header, projected like the features */
+        bbox: shpmeta.bbox.slice(),
+        prjwkt,
+        /** encoding of the DBF text fields, null without the DBF */
+        encoding: dbfmeta?.encoding ?? null,
+        /** GeoJSON "crs" member if the target projection is not WGS84 */
+        crs: crsMember(target, 'open'),
+        /** metadata from the headers, see SHPTransform and DBFTransform */
+        metadata: { shp: shpmeta, dbf: dbfmeta },
+        features,
+        [Symbol.asyncIterator]: features
+    };
+}
+
+/**
+ * Finds the shapefile and its sidecars in the directory of the path.
+ * The paths are opened by withSources.
+ * @param {string} path
+ * @returns {Promise<Object<string, any>>} the file paths by the lowercase
+ *  extensions, and the name
+ */
+async function pathFiles(path) {
+    const { readdir } = await import('node:fs/promises');
+    const { dirname, basename, join } = await import('node:path');
+    const dir = dirname(path);
+    const base = basename(path).replace(/\.shp$/i, '');
+    const files = { name: base };
+    for (const entry of await readdir(dir)) {
+        const match = entry.match(/^(.*)\.([^.]*)$/);
+        const ext = match?.[2].toLowerCase();
+        if (!match || match[1].toLowerCase() != base.toLowerCase() || !extensions.includes(ext))
+            continue;
+        // the exact case is preferred
+        if (!files[ext] || match[1] == base) {
+            files[ext] = { path: join(dir, entry) };
+            if (ext == 'shp')
+                files.name = match[1];
+        }
+    }
+    if (!files.shp)
+        throw new TypeError(`open: ${join(dir, base)}.shp not found.`);
+    return files;
+}
+
+/**
+ * Groups the named sources by the file names and picks the shapefile.
+ * @param {Iterable<Blob> | Map<string, any> | Object<string, any>} source
+ * @param {string} [wanted] name of the shapefile
+ * @returns {Object<string, any>} the sources by the lowercase extensions, and the name
+ */
+function namedFiles(source, wanted) {
+    let entries;
+    if (source instanceof Map)
+        entries = [...source];
+    else if (source && typeof source[Symbol.iterator] == 'function') {
+        entries = [...source].map(blob => {
+            if (!(typeof Blob != 'undefined' && blob instanceof Blob && typeof blob.name == 'string'))
+                throw new TypeError('open: first arg: Files or named Blobs expected.');
+            return [blob.name, blob];
+        });
+    } else if (source && typeof source == 'object')
+        entries = Object.entries(source);
+    else
+        throw new TypeError('open: first arg: path, Files, Map or object expected.');
+    /** @type {Map<string, Object<string, any>>} */
+    const groups = new Map();
+    for (const [key, value] of entries) {
+        const match = String(key).match(/(?:^|[/\\])([^/\\]*)\.([^./\\]*)$/);
+        const ext = match?.[2].toLowerCase();
+        if (!match || !extensions.includes(ext))
+            continue;
+        if (!(value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+            || (typeof Blob != 'undefined' && value instanceof Blob)))
+            throw new TypeError(`open: ${key}: ArrayBuffer, typed array or Blob expected.`);
+        const group = match[1].toLowerCase();
+        if (!groups.has(group))
+            groups.set(group, { name: match[1] });
+        groups.get(group)[ext] ??= value;
+    }
+    const shapefiles = [...groups.values()].filter(g => g.shp);
+    if (wanted != null) {
+        const files = groups.get(wanted.replace(/\.shp$/i, '').toLowerCase());
+        if (!files?.shp)
+            throw new TypeError(`open: ${wanted}.shp not found.`);
+        return files;
+    }
+    if (shapefiles.length == 0)
+        throw new TypeError('open: no shp file.');
+    if (shapefiles.length > 1)
+        throw new TypeError(`open: shapefiles ${shapefiles.map(g => g.name).join(', ')}, see the option name.`);
+    return shapefiles[0];
+}
+
+/**
+ * Calls the function with the random-access sources of the SHP, DBF
+ * and memo files, the paths opened as FileHandles and closed after it.
+ * If the function returns an async iterable, they are closed after the iteration.
+ * @param {Object<string, any>} files
+ * @param {(sources: {shp: any, dbf: any, memo: any}) => any} fn
+ */
+async function withSources(files, fn) {
+    const handles = [];
+    const source = async (file) => {
+        if (!file?.path)
+            return file ?? null;
+        const fs = await import('node:fs/promises');
+        const handle = await fs.open(file.path);
+        handles.push(handle);
+        return handle;
+    };
+    const close = () => Promise.all(handles.map(h => h.close()));
+    let iterated = false;
+    try {
+        const result = fn({
+            shp: await source(files.shp),
+            dbf: await source(files.dbf),
+            memo: await source(files.dbt ?? files.fpt)
+        });
+        if (typeof result?.[Symbol.asyncIterator] != 'function')
+            return await result;
+        iterated = true;
+        return (async function* () {
+            try {
+                yield* result;
+            } finally {
+                await close();
+            }
+        })();
+    } finally {
+        if (!iterated)
+            await close();
+    }
+}
+
+/**
+ * The contents of the text file.
+ * @param {any} file a source or {path}
+ */
+async function text(file) {
+    if (file.path) {
+        const { readFile } = await import('node:fs/promises');
+        return readFile(file.path, 'utf-8');
+    }
+    return new TextDecoder().decode(await readBytes(file, 0, await sourceSize(file)));
+}
+
+/**
+ * ReadableStream of the bytes of the random-access source.
+ * @param {any} source
+ */
+function sourceStream(source) {
+    if (typeof Blob != 'undefined' && source instanceof Blob)
+        return source.stream();
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+        const bytes = source instanceof ArrayBuffer ? new Uint8Array(source)
+            : new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+        return ReadableStream.from([bytes]);
+    }
+    let pos = 0;
+    return new ReadableStream({
+        async pull(controller) {
+            const bytes = await readBytes(source, pos, chunkSize);
+            pos += bytes.byteLength;
+            if (bytes.byteLength > 0)
+                controller.enqueue(new Uint8Array(bytes));
+            if (bytes.byteLength < chunkSize)
+                controller.close();
+        }
+    });
+}
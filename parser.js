@@ -2,98 +2,236 @@ if (TransformStream == undefined) {
     // eslint-disable-next-line no-global-assign
     TransformStream = await import('node:stream/web');
 }
-import proj4 from 'proj4';
-import { shpRecord, shpHeader, dbfHeader, dbfField, dbfRecord } from './common.js';
+import { shpRecord, shpHeader, dbfHeader, dbfFields, dbfRecord, dbfDates, dbfNumbers, dbfDeleted,
+    shpMetadata, dbfMetadata,
+    shpFilter, bboxFilter, recordIndex, filtered, deletedRecords, fieldId, projector,
+    crsMember, geographic } from './common.js';
+import { memoReader } from './memo.js';
+import { ldidEncoding } from './encoding.js';
+import { chunkQueue } from './chunks.js';
+import { precisionOption } from './precision.js';
+import { antimeridian, antimeridianBBox, antimeridianModes } from './antimeridian.js';
+export { writeShapefile } from './writer.js';
+export { openIndexed } from './indexed.js';
+export { cpgEncoding } from './encoding.js';
+export { openZip } from './zip.js';
+export { SimplifyTransform } from './simplify.js';
+export { GeoJSONTransform } from './geojson.js';
+export { toTopology } from './topojson.js';
+export { vectorTiles } from './mvt.js';
+export { writePMTiles } from './pmtiles.js';
+export { toWKT, toWKB } from './wkt.js';
+export { open } from './open.js';
 
 /**
  * Returns TransformStream of features converted from a SHP ReadableStream.
+ * The property `metadata` of the TransformStream is a promise
+ * resolved once the header is parsed.
  * @param {number[]} bbox Will fill with bounding box
  * @param {string} [prjwkt] Projection in WKT format.
  * @param {boolean} [withM] Include the M coordinate.
+ * @param {object} [options]
+ * @param {GeoJSON.BBox | GeoJSON.GeoJSON} [options.filter] Bounding box
+ *  or polygons, only records with bounding boxes intersecting it are parsed.
+ * @param {boolean} [options.lenient] Repair what is possible and skip
+ *  records which can not be parsed, instead of throwing.
+ * @param {(diag: Diagnostic) => void} [options.onWarning] Called on repairs
+ *  and on problems taken as is, like the polygon holes without outer rings.
+ * @param {(diag: Diagnostic) => void} [options.onError] Called on skipped records.
+ * @param {string} [options.antimeridian] 'clamp' to clamp the longitudes and
+ *  latitudes to their ranges, 'split' to normalize the longitudes and split
+ *  the geometries crossing the antimeridian.
+ * @param {string} [options.target] Target projection: WKT, EPSG code
+ *  or proj string. If prjwkt is not given, the source is taken for WGS84.
+ * @param {number} [options.precision] Number of decimals the coordinates
+ *  of the positions and the bboxes are rounded to.
+ * @param {boolean} [options.quantize] Snap the positions to the grid of the precision
+ *  and remove the repeated points and the lines and rings collapsed by it.
+ * @param {boolean} [options.recordId] Set the feature ids to the 1-based record
+ *  numbers. The record numbers in the file that are not sequential are reported
+ *  by onWarning; with recordId they throw, in lenient mode the sequential ones are used.
+ * @param {AbortSignal} [options.signal] Errors the stream with the abort reason,
+ *  which cancels the source piped to it.
+ * @param {(progress: Progress) => void} [options.onProgress] Called after
+ *  each chunk is parsed.
  * @returns TransformStream
  */
-export function SHPTransform(bbox, prjwkt = '', withM = false) {
-    /** @type {ArrayBuffer | null} */
-    let buffer = null;
-    let offset = 0;     // current offset in the buffer
-    let needed = 100;   // number of bytes required in the buffer
+export function SHPTransform(bbox, prjwkt = '', withM = false, options = {}) {
+    const queue = chunkQueue('SHPTransform');
+    let needed = 100;   // number of bytes required in the queue
+    let recpos = 0;     // offset of the current record in the file
     let status = 0;
     let filesize = 0;
-    let project = (x) => x;
+    let recnum = 0;     // 0-based number of the current record
+    let emitted = 0;    // number of features
+    let total = null;   // file size
+    let filter = null;
     //
     if (bbox && !(Array.isArray(bbox) && bbox.length >= 4))
         throw new TypeError('SHPTransform: first arg: array for bbox expected.');
     if (prjwkt && typeof prjwkt != 'string')
         throw new TypeError('SHPTransform: second arg: string expected.');
-    if (prjwkt)
-        project = proj4(prjwkt).inverse;
+    if (!options || typeof options != 'object')
+        throw new TypeError('SHPTransform: fourth arg: object expected.');
+    if (options.target && typeof options.target != 'string')
+        throw new TypeError('SHPTransform: target: string expected.');
+    const project = projector(prjwkt, options.target, 'SHPTransform');
+    if (options.filter)
+        filter = bboxFilter(options.filter);
+    const mode = options.antimeridian;
+    if (mode && !antimeridianModes.includes(mode))
+        throw new TypeError('SHPTransform: antimeridian: \'clamp\' or \'split\' expected.');
+    if (mode && !geographic(options.target, 'SHPTransform'))
+        throw new TypeError('SHPTransform: antimeridian: target in longitudes and latitudes expected.');
+    const round = precisionOption('SHPTransform', options);
+    const recordId = !!options.recordId;
+    const lenient = !!options.lenient;
+    const warning = reporter('shp', options.onWarning, 'SHPTransform: onWarning');
+    const error = reporter('shp', options.onError, 'SHPTransform: onError');
+    const abort = aborter(options.signal, 'SHPTransform');
+    const progress = progressor(options.onProgress, 'SHPTransform: onProgress');
+    const metadata = deferred();
     //
-    return new TransformStream({
+    const stream = new TransformStream({
+        start: abort.start,
         transform(chunk, controller) {
-            if (buffer == null)
-                buffer = chunk.buffer;
-            else {
-                const rem = new Uint8Array(buffer.slice(offset));
-                const tmp = new Uint8Array(rem.byteLength + chunk.length);
-                tmp.set(rem, 0);
-                tmp.set(chunk, rem.byteLength);
-                buffer = tmp.buffer;
-                offset = 0;
-            }
-            while (true) {
-                if (buffer.byteLength - offset < needed)
-                    return;       // _transform will be called with the next chunk
-                const data = new DataView(buffer);
+            queue.push(chunk);
+            // otherwise transform will be called with the next chunk
+            while (queue.length >= needed) {
+                if (status == 1)
+                    recpos = queue.position;
+                const { buffer, offset } = queue.read(needed);
                 if (status == 0) {
-                    const header = shpHeader(buffer, project);
+                    let header;
+                    try {
+                        header = shpHeader(buffer.slice(offset, offset + 100), project);
+                    } catch (err) {
+                        metadata.reject(err);
+                        throw err;
+                    }
+                    if (mode)
+                        antimeridianBBox(header.bbox, mode);
+                    metadata.resolve(shpMetadata(header));
+                    round?.bbox(header.bbox);
                     if (bbox) {
                         for (let i = 0; i < 4; i++)
                             bbox[i] = header.bbox[i];
                     }
                     filesize = header.filesize - 100;
+                    total = header.filesize;
                     status = 1;
-                    offset = 100;
                     needed = 8;
                 }
                 else if (status == 1) {
                     // record header
-                    needed = data.getInt32(offset + 4) * 2;
-                    offset += 8;
+                    const dv = new DataView(buffer);
+                    needed = dv.getInt32(offset + 4) * 2;
+                    if (needed < 0)
+                        throw new TypeError(`SHPTransform: record ${recnum}: negative content length.`);
+                    const number = dv.getInt32(offset);
+                    if (number != recnum + 1) {
+                        const message = `record number ${number}, ${recnum + 1} expected.`;
+                        if (recordId && !lenient)
+                            throw new TypeError(`SHPTransform: record ${recnum}: ${message}`);
+                        warning('RECORD_NUMBER', message, recnum, recpos);
+                    }
                     filesize -= 8;
                     status = 2;
                 }
                 else if (status == 2) {
                     // record contents
-                    controller.enqueue(shpRecord(buffer, offset, project, withM));
-                    offset += needed;
+                    const at = recpos;
+                    const warn = options.onWarning
+                        ? (code, message) => warning(code, message, recnum, at) : undefined;
+                    try {
+                        if (!filter || shpFilter(buffer, offset, project, filter)) {
+                            const feature = shpRecord(buffer, offset, project, withM, warn, mode == 'split',
+                                lenient);
+                            if (mode)
+                                antimeridian(feature, mode);
+                            round?.feature(feature);
+                            if (recordId)
+                                feature.id = recnum + 1;
+                            feature[recordIndex] = recnum;
+                            controller.enqueue(feature);
+                            emitted++;
+                        }
+                    } catch (err) {
+                        if (!lenient)
+                            throw err;
+                        error('RECORD_UNPARSED', `${err.message} Record skipped.`, recnum, at);
+                    }
+                    recnum += 1;
                     filesize -= needed;
                     needed = 8;
                     status = 1;
                 } else
                     throw new Error('SHPTransform: bug');
             }
+            queue.release();
+            progress(queue.position, total, emitted, null);
         },
         flush() {
-            if (filesize != 0)
-                throw new TypeError(`SHPTransform: readable bytes remained: ${filesize}.`);
+            abort.done();
+            if (status == 0)
+                metadata.reject(new TypeError('SHPTransform: no header.'));
+            if (filesize != 0) {
+                if (!lenient)
+                    throw new TypeError(`SHPTransform: readable bytes remained: ${filesize}.`);
+                warning('BYTES_REMAINED', `readable bytes remained: ${filesize}.`, recnum, queue.position);
+            }
         }
     });
+    stream.crs = crsMember(options.target, 'SHPTransform');
+    stream.metadata = metadata.promise;
+    // for stitch, the readable side is what pipeThrough returns
+    stream.readable[filtered] = !!filter || lenient;
+    return stream;
 }
 
 /**
  * Returns TransformStream of records converted from a DBF Readable.
- * @param {string?} encoding of text fields in the records.
+ * The encoding actually used is available as the property
+ * `encoding` of the TransformStream once the header is parsed.
+ * The property `metadata` is a promise resolved at that moment.
+ * The property `deleted` is the Set of the 0-based numbers of the records
+ * marked deleted read so far.
+ * @param {string?} encoding of text fields in the records,
+ *  by default derived from the language driver ID of the header.
+ * @param {ReadableStream | ArrayBuffer | Blob | Object} [memo] DBT or FPT data:
+ *  a ReadableStream or a random-access source, see openIndexed.
+ * @param {object} [options]
+ * @param {boolean} [options.lenient] Skip records which can not be parsed
+ *  instead of throwing.
+ * @param {(diag: Diagnostic) => void} [options.onWarning] Called on problems ignored.
+ * @param {(diag: Diagnostic) => void} [options.onError] Called on skipped records.
+ * @param {string} [options.dates] 'D' fields as 'string' like '20241231' (default),
+ *  'iso' like '2024-12-31' or 'date' for Date objects.
+ * @param {string} [options.numbers] 'N' and 'F' fields which can not be exact
+ *  as Numbers: 'number' (default), 'bigint' (integers only, others become strings)
+ *  or 'string'.
+ * @param {string} [options.deleted] The records marked deleted are skipped ('skip',
+ *  default) or emitted ('keep-with-flag' or 'keep-null-properties', which
+ *  makes the difference in stitch).
+ * @param {AbortSignal} [options.signal] see SHPTransform.
+ * @param {(progress: Progress) => void} [options.onProgress] see SHPTransform.
  * @returns TransformStream
  */
-export function DBFTransform(encoding) {
+export function DBFTransform(encoding, memo, options = {}) {
+    const queue = chunkQueue('DBFTransform');
+    let needed = 32;    // number of bytes required in the queue
     /** @type {ArrayBuffer | null} */
-    let buffer = null;
-    let offset = 0;     // current offset in the buffer
-    let needed = 32;    // number of bytes required in the buffer
+    let prefix = null;  // the first 32 bytes of the header
     let status = 0;
     let numrec = 0;
     let reclen = 0;
-    const fields = [];
+    /** @type {ReturnType<typeof dbfHeader> | null} */
+    let header = null;
+    let fields = [];
+    let memos = null;
+    let recnum = 0;     // 0-based number of the current record
+    let emitted = 0;    // number of rows
+    let total = null;   // file size expected from the header
     //
     let decoder = new TextDecoder('latin1');
     if (encoding) {
@@ -101,90 +239,338 @@ export function DBFTransform(encoding) {
             throw new TypeError('DBFTransform: first arg: string expected.');
         decoder = new TextDecoder(encoding);
     }
+    if (!options || typeof options != 'object')
+        throw new TypeError('DBFTransform: third arg: object expected.');
+    const lenient = !!options.lenient;
+    const warning = reporter('dbf', options.onWarning, 'DBFTransform: onWarning');
+    const error = reporter('dbf', options.onError, 'DBFTransform: onError');
+    const abort = aborter(options.signal, 'DBFTransform');
+    const progress = progressor(options.onProgress, 'DBFTransform: onProgress');
+    const { dates = 'string', numbers = 'number', deleted = 'skip' } = options;
+    if (!dbfDates.includes(dates))
+        throw new TypeError(`DBFTransform: dates: one of ${dbfDates.join(', ')} expected.`);
+    if (!dbfNumbers.includes(numbers))
+        throw new TypeError(`DBFTransform: numbers: one of ${dbfNumbers.join(', ')} expected.`);
+    if (!dbfDeleted.includes(deleted))
+        throw new TypeError(`DBFTransform: deleted: one of ${dbfDeleted.join(', ')} expected.`);
+    /** @type {Set<number>} */
+    const deletedSet = new Set();
+    const metadata = deferred();
     //
-    return new TransformStream({
-        transform(chunk, controller) {
-            if (buffer == null)
-                buffer = chunk.buffer;
-            else {
-                const rem = new Uint8Array(buffer.slice(offset));
-                const tmp = new Uint8Array(rem.byteLength + chunk.buffer.byteLength);
-                tmp.set(rem, 0);
-                tmp.set(chunk, rem.byteLength);
-                buffer = tmp.buffer;
-                offset = 0;
-            }
-            while (true) {
-                if (buffer.byteLength - offset < needed)
-                    return;       // transform will be called with the next chunk
+    const stream = new TransformStream({
+        start: abort.start,
+        async transform(chunk, controller) {
+            if (status == 3)
+                return;     // the end of file marker or garbage
+            queue.push(chunk);
+            // otherwise transform will be called with the next chunk
+            while (queue.length >= needed) {
+                if (status == 2 && numrec == 0) {
+                    queue.clear();
+                    status = 3;
+                    break;
+                }
+                const at = queue.position;
+                const { buffer, offset } = queue.read(needed);
                 if (status == 0) {
-                    const header = dbfHeader(buffer);
+                    prefix = buffer.slice(offset, offset + 32);
+                    try {
+                        header = dbfHeader(prefix);
+                    } catch (err) {
+                        metadata.reject(err);
+                        throw err;
+                    }
+                    if (!encoding)
+                        decoder = new TextDecoder(ldidEncoding(header.ldid) ?? 'latin1');
+                    stream.encoding = decoder.encoding;
                     numrec = header.numrec;
                     reclen = header.reclen;
-                    offset = 32;
-                    needed = 32;
+                    total = header.hdrlen + numrec * reclen;
+                    if (memo)
+                        memos = memoReader(memo, header.memo, decoder);
+                    needed = Math.max(0, header.hdrlen - 32);
                     status = 1;
                 }
                 else if (status == 1) {
-                    // field descriptor
-                    const pos = offset;
-                    const field = dbfField(buffer, pos, decoder);
-                    if (!field) {
-                        status = 2;
-                        needed = reclen;
-                        offset += 1;
-                        continue;
+                    // field descriptors, the rest of the header
+                    const bytes = new Uint8Array(32 + needed);
+                    bytes.set(new Uint8Array(prefix), 0);
+                    bytes.set(new Uint8Array(buffer, offset, needed), 32);
+                    try {
+                        fields = dbfFields(bytes.buffer, header, decoder);
+                    } catch (err) {
+                        metadata.reject(err);
+                        throw err;
                     }
-                    fields.push(field);
-                    offset += needed;
+                    metadata.resolve(dbfMetadata(header, fields, decoder.encoding));
+                    needed = reclen;
+                    status = 2;
                 }
                 else if (status == 2) {
                     const rec = new DataView(buffer, offset, reclen)
                     const flag = rec.getUint8(0);
                     if (flag == 0x2a) {
-                        offset += needed;
-                        --numrec;
-                        continue;
+                        deletedSet.add(recnum);
+                        if (deleted == 'skip') {
+                            --numrec;
+                            ++recnum;
+                            continue;
+                        }
+                    } else if (flag != 0x20) {
+                        if (!lenient)
+                            throw new TypeError('DBFTransform: format error.');
+                        warning('BAD_DELETION_FLAG', `deletion flag 0x${flag.toString(16)}, taken as not deleted.`,
+                            recnum, at);
                     }
-                    if (flag != 0x20)
-                        throw new TypeError('DBFTransform: format error.');
-                    controller.enqueue(dbfRecord(rec, fields, decoder));
-                    offset += needed;
                     --numrec;
+                    let row = null;
+                    try {
+                        row = dbfRecord(rec, fields, decoder, header.flavor, { dates, numbers });
+                        row[recordIndex] = recnum;
+                        if (memos)
+                            await memos.resolve(row, fields, header.flavor);
+                    } catch (err) {
+                        if (!lenient)
+                            throw err;
+                        error('RECORD_UNPARSED', `${err.message} Record skipped.`, recnum, at);
+                        row = null;
+                    }
+                    // aborted while reading the memos, not a record problem
+                    options.signal?.throwIfAborted();
+                    if (row) {
+                        controller.enqueue(row);
+                        emitted++;
+                    }
+                    ++recnum;
                 }
             }
+            queue.release();
+            progress(Math.min(queue.position, total ?? Infinity), total, emitted, header?.numrec ?? null);
         },
         flush() {
-            if (numrec != 0)
-                throw new TypeError(`DBFTransform: records remained: ${numrec}.`);
+            abort.done();
+            if (status < 2)
+                metadata.reject(new TypeError('DBFTransform: no header.'));
+            if (numrec != 0) {
+                if (!lenient)
+                    throw new TypeError(`DBFTransform: records remained: ${numrec}.`);
+                warning('RECORDS_MISSING', `records missing: ${numrec}.`, recnum, queue.position);
+            }
         }
     });
+    stream.encoding = encoding ? decoder.encoding : null;
+    stream.metadata = metadata.promise;
+    stream.deleted = deletedSet;
+    // for stitch, the readable side is what pipeThrough returns
+    stream.readable[deletedRecords] = { policy: deleted, records: deletedSet };
+    return stream;
 }
 
 /**
  * Stitches two ReadableStreams together and yields Feature objects.
+ * The features and the DBF records are matched by the record numbers
+ * if they come from SHPTransform and DBFTransform, otherwise by the position.
+ * The deleted records are handled by the policy given to DBFTransform:
+ * with 'skip' their shapes are skipped too.
+ * The DBF records left after the last feature are cancelled if SHPTransform
+ * has a filter or is lenient, otherwise they are an error.
  * @param {ReadableStream} shp
  * @param {ReadableStream} dbf
+ * @param {object} [options]
+ * @param {boolean} [options.lenient] A feature without DBF record gets
+ *  null properties instead of throwing.
+ * @param {(diag: Diagnostic) => void} [options.onWarning] Called on features
+ *  without DBF records.
+ * @param {AbortSignal} [options.signal] Cancels both streams and makes
+ *  the generator throw the abort reason.
+ * @param {string} [options.idField] DBF field to set the feature ids from,
+ *  instead of the record numbers.
+ * @param {boolean} [options.removeIdField] Remove the idField from the properties.
  * @returns {AsyncGenerator<GeoJSON.Feature>}
  */
-export async function* stitch(shp, dbf) {
+export async function* stitch(shp, dbf, options = {}) {
     if (!(shp instanceof ReadableStream))
         throw new TypeError('stitch: first arg: not a ReadableStream');
     if (!(dbf instanceof ReadableStream))
         throw new TypeError('stitch: second arg: not a ReadableStream');
+    if (!options || typeof options != 'object')
+        throw new TypeError('stitch: third arg: object expected.');
+    const lenient = !!options.lenient;
+    const warning = reporter('dbf', options.onWarning, 'stitch: onWarning');
+    const signal = options.signal;
+    if (signal !== undefined && !(signal instanceof AbortSignal))
+        throw new TypeError('stitch: signal: AbortSignal expected.');
+    const { idField, removeIdField = false } = options;
+    if (idField != null && typeof idField != 'string')
+        throw new TypeError('stitch: idField: string expected.');
+    signal?.throwIfAborted();
     const shp_reader = shp.getReader();
     const dbf_reader = dbf.getReader();
-    while (true) {
-        const feat = await shp_reader.read();
-        const prop = await dbf_reader.read();
-        if (feat.done && prop.done)
-            break;
-        if (feat.done)
-            throw new TypeError('stitch: not enough feature records.');
-        if (prop.done)
-            throw new TypeError('stitch: not enough dbf records.');
-        const feature = feat.value;
-        feature.properties = prop.value;
-        yield feature;
+    const cancel = () => {
+        shp_reader.cancel(signal.reason).catch(() => {});
+        dbf_reader.cancel(signal.reason).catch(() => {});
+    };
+    signal?.addEventListener('abort', cancel, { once: true });
+    // the policy for the deleted records, if the DBF stream comes from DBFTransform
+    const deleted = dbf[deletedRecords] ?? null;
+    // some features may be filtered out, if the SHP stream comes from SHPTransform
+    const partial = !!shp[filtered];
+    let pending = null;     // DBF record read ahead
+    const next = () => {
+        const prop = pending ?? dbf_reader.read();
+        pending = null;
+        return prop;
+    };
+    try {
+        while (true) {
+            const feat = await shp_reader.read();
+            if (feat.done) {
+                const prop = await next();
+                signal?.throwIfAborted();
+                if (!prop.done) {
+                    if (!partial)
+                        throw new TypeError('stitch: not enough feature records.');
+                    // the rest of the records are filtered out
+                    await dbf_reader.cancel();
+                }
+                break;
+            }
+            const feature = feat.value;
+            const index = feature[recordIndex];
+            let prop = await next();
+            signal?.throwIfAborted();
+            // the records without numbers are matched by the position
+            while (!prop.done && prop.value[recordIndex] < index) {
+                if (!partial)
+                    throw new TypeError(`stitch: shp record ${prop.value[recordIndex]} missing.`);
+                prop = await next();
+            }
+            signal?.throwIfAborted();
+            if (prop.done || prop.value[recordIndex] > index) {
+                pending = prop;
+                if (deleted?.records.has(index))
+                    continue;   // skipped with its deleted record
+                if (!lenient)
+                    throw new TypeError(prop.done
+                        ? 'stitch: not enough dbf records.' : `stitch: dbf record ${index} missing.`);
+                warning('RECORD_MISSING', 'dbf record missing, properties set to null.', index);
+                feature.properties = null;
+                yield feature;
+                continue;
+            }
+            feature.properties = prop.value;
+            if (deleted?.records.has(index)) {
+                if (deleted.policy == 'keep-null-properties')
+                    feature.properties = null;
+                else
+                    feature.deleted = true;
+            }
+            if (idField)
+                fieldId(feature, idField, removeIdField, 'stitch');
+            yield feature;
+        }
+    } finally {
+        signal?.removeEventListener('abort', cancel);
     }
 }
+
+/**
+ * @typedef {object} Diagnostic
+ * @property {string} source 'shp' or 'dbf'
+ * @property {string} code machine-readable problem code
+ * @property {string} message
+ * @property {number} record 0-based record number
+ * @property {number} [offset] of the record in the file
+ */
+
+/**
+ * @typedef {object} Progress
+ * @property {number} bytes consumed
+ * @property {number | null} totalBytes expected from the header, null before it is parsed
+ * @property {number} records emitted
+ * @property {number | null} totalRecords expected from the DBF header,
+ *  deleted rows included; null for SHP
+ */
+
+/**
+ * Returns a promise with its resolve and reject functions.
+ * The rejection is not reported as unhandled if nobody waits for it.
+ */
+function deferred() {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    promise.catch(() => {});
+    return { promise, resolve, reject };
+}
+
+/**
+ * Makes a function reporting problems to the callback, if any.
+ * @param {string} source
+ * @param {Function | undefined} callback
+ * @param {string} name for the error message
+ */
+function reporter(source, callback, name) {
+    if (callback && typeof callback != 'function')
+        throw new TypeError(`${name}: function expected.`);
+    /**
+     * @param {string} code
+     * @param {string} message
+     * @param {number} record
+     * @param {number} [offset]
+     */
+    return (code, message, record, offset) => {
+        if (callback)
+            callback({ source, code, message, record, offset });
+    };
+}
+
+/**
+ * Checks the signal and returns the start() of the TransformStream
+ * erroring it on abort, and the function to call when it is done.
+ * @param {AbortSignal | undefined} signal
+ * @param {string} name for the error message
+ */
+function aborter(signal, name) {
+    if (signal !== undefined && !(signal instanceof AbortSignal))
+        throw new TypeError(`${name}: signal: AbortSignal expected.`);
+    let abort = null;
+    return {
+        /** @param {TransformStreamDefaultController} controller */
+        start(controller) {
+            if (!signal)
+                return;
+            abort = () => controller.error(signal.reason);
+            if (signal.aborted)
+                abort();
+            else
+                signal.addEventListener('abort', abort, { once: true });
+        },
+        done() {
+            if (abort)
+                signal.removeEventListener('abort', abort);
+        }
+    };
+}
+
+/**
+ * Makes a function reporting the progress to the callback, if any.
+ * @param {Function | undefined} callback
+ * @param {string} name for the error message
+ */
+function progressor(callback, name) {
+    if (callback && typeof callback != 'function')
+        throw new TypeError(`${name}: function expected.`);
+    /**
+     * @param {number} bytes
+     * @param {number | null} totalBytes
+     * @param {number} records
+     * @param {number | null} totalRecords
+     */
+    return (bytes, totalBytes, records, totalRecords) => {
+        if (callback)
+            callback({ bytes, totalBytes, records, totalRecords });
+    };
+}
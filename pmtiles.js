@@ -0,0 +1,238 @@
+const headerSize = 127;
+const rootSize = 16384 - headerSize;    // the root directory fits in the first 16 KB
+
+/**
+ * Returns ReadableStream of the bytes of a PMTiles version 3 archive
+ * of the tiles, a single file servable with HTTP range requests.
+ * The tiles are collected in memory first; the identical ones are stored once.
+ * The data are neither compressed nor expected compressed.
+ * @param {AsyncIterable<{z: number, x: number, y: number, data: Uint8Array}>
+ *  | Iterable<{z: number, x: number, y: number, data: Uint8Array}>} tiles
+ *  MVT tiles like the ones generated by vectorTiles.
+ * @param {object} [metadata] stored as the archive metadata, the property `metadata`
+ *  of the tiles by default, read once they are all out. Its `bounds`, `center`,
+ *  `minzoom` and `maxzoom` go to the header when present.
+ * @returns ReadableStream
+ */
+export function writePMTiles(tiles, metadata) {
+    if (!tiles || !(Symbol.asyncIterator in tiles || Symbol.iterator in tiles))
+        throw new TypeError('writePMTiles: first arg: iterable expected.');
+    if (metadata != null && typeof metadata != 'object')
+        throw new TypeError('writePMTiles: second arg: object expected.');
+    return new ReadableStream({
+        async start(controller) {
+            const parts = await archive(tiles, metadata);
+            for (const part of parts)
+                controller.enqueue(part);
+            controller.close();
+        }
+    });
+}
+
+/**
+ * Collects the tiles and lays the archive out: the header, the root directory,
+ * the metadata, the leaf directories and the tile data in the tile id order.
+ * @param {AsyncIterable<{z: number, x: number, y: number, data: Uint8Array}>
+ *  | Iterable<{z: number, x: number, y: number, data: Uint8Array}>} tiles
+ * @param {object} [metadata]
+ * @returns {Promise<Uint8Array[]>}
+ */
+async function archive(tiles, metadata) {
+    /** @type {{id: number, content: number}[]} */
+    const entries = [];
+    /** @type {Uint8Array[]} */
+    const contents = [];
+    /** @type {Map<string, number[]>} hash of the data to the contents */
+    const hashes = new Map();
+    const seen = new Set();
+    let minzoom = Infinity, maxzoom = -Infinity;
+    for await (const { z, x, y, data } of tiles) {
+        if (!(data instanceof Uint8Array))
+            throw new TypeError(`writePMTiles: tile ${z}/${x}/${y}: Uint8Array expected.`);
+        const id = tileId(z, x, y);
+        if (seen.has(id))
+            throw new TypeError(`writePMTiles: tile ${z}/${x}/${y} repeated.`);
+        seen.add(id);
+        minzoom = Math.min(minzoom, z);
+        maxzoom = Math.max(maxzoom, z);
+        const key = hash(data);
+        const candidates = hashes.get(key) ?? [];
+        let content = candidates.find(c => equal(contents[c], data));
+        if (content == null) {
+            content = contents.length;
+            contents.push(data);
+            candidates.push(content);
+            hashes.set(key, candidates);
+        }
+        entries.push({ id, content });
+    }
+    metadata ??= tiles.metadata ?? {};
+    entries.sort((a, b) => a.id - b.id);
+
+    // the contents in the order of their first tiles, the runs of the same tile merged
+    const offsets = new Array(contents.length);
+    const order = [];
+    let dataLength = 0;
+    /** @type {{id: number, offset: number, length: number, run: number}[]} */
+    const directory = [];
+    for (const { id, content } of entries) {
+        if (offsets[content] == null) {
+            offsets[content] = dataLength;
+            dataLength += contents[content].length;
+            order.push(contents[content]);
+        }
+        const last = directory[directory.length - 1];
+        if (last && last.id + last.run == id && last.offset == offsets[content])
+            last.run++;
+        else
+            directory.push({ id, offset: offsets[content], length: contents[content].length, run: 1 });
+    }
+
+    const { root, leaves } = directories(directory);
+    const meta = new TextEncoder().encode(JSON.stringify(metadata));
+    const header = new Uint8Array(headerSize);
+    const view = new DataView(header.buffer);
+    const u64 = (offset, v) => view.setBigUint64(offset, BigInt(v), true);
+    const e7 = (v) => Math.round(v * 1e7);
+    header.set(new TextEncoder().encode('PMTiles'), 0);
+    header[7] = 3;
+    u64(8, headerSize);
+    u64(16, root.length);
+    u64(24, headerSize + root.length);
+    u64(32, meta.length);
+    u64(40, headerSize + root.length + meta.length);
+    u64(48, leaves.length);
+    u64(56, headerSize + root.length + meta.length + leaves.length);
+    u64(64, dataLength);
+    u64(72, entries.length);
+    u64(80, directory.length);
+    u64(88, contents.length);
+    header[96] = 1;         // clustered
+    header[97] = 1;         // internal compression: none
+    header[98] = 1;         // tile compression: none
+    header[99] = 1;         // tile type: MVT
+    header[100] = metadata.minzoom ?? (entries.length > 0 ? minzoom : 0);
+    header[101] = metadata.maxzoom ?? (entries.length > 0 ? maxzoom : 0);
+    const [west, south, east, north] = metadata.bounds ?? [-180, -85.0511287798066, 180, 85.0511287798066];
+    view.setInt32(102, e7(west), true);
+    view.setInt32(106, e7(south), true);
+    view.setInt32(110, e7(east), true);
+    view.setInt32(114, e7(north), true);
+    const [lon, lat, zoom] = metadata.center ?? [(west + east) / 2, (south + north) / 2, header[100]];
+    header[118] = zoom;
+    view.setInt32(119, e7(lon), true);
+    view.setInt32(123, e7(lat), true);
+    return [header, root, meta, leaves, ...order];
+}
+
+/**
+ * Serializes the entries into the root directory, with the leaf directories
+ * when they do not fit in it.
+ * @param {{id: number, offset: number, length: number, run: number}[]} entries
+ * @returns {{root: Uint8Array, leaves: Uint8Array}}
+ */
+function directories(entries) {
+    const root = serialize(entries);
+    if (root.length <= rootSize)
+        return { root, leaves: new Uint8Array(0) };
+    for (let size = 4096; ; size = Math.ceil(size * 1.2)) {
+        const pointers = [];
+        const chunks = [];
+        let offset = 0;
+        for (let i = 0; i < entries.length; i += size) {
+            const leaf = serialize(entries.slice(i, i + size));
+            pointers.push({ id: entries[i].id, offset, length: leaf.length, run: 0 });
+            chunks.push(leaf);
+            offset += leaf.length;
+        }
+        const root = serialize(pointers);
+        if (root.length <= rootSize) {
+            const leaves = new Uint8Array(offset);
+            offset = 0;
+            for (const chunk of chunks) {
+                leaves.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return { root, leaves };
+        }
+    }
+}
+
+/**
+ * The directory: the number of entries, then their tile id deltas, run lengths,
+ * lengths and offsets, as varints. The offset is 0 when it follows the previous
+ * entry's data, otherwise it is incremented by 1.
+ * @param {{id: number, offset: number, length: number, run: number}[]} entries
+ */
+function serialize(entries) {
+    const bytes = [];
+    const varint = (v) => {
+        while (v >= 0x80) {
+            bytes.push((v % 0x80) | 0x80);
+            v = Math.floor(v / 0x80);
+        }
+        bytes.push(v);
+    };
+    varint(entries.length);
+    let last = 0;
+    for (const { id } of entries) {
+        varint(id - last);
+        last = id;
+    }
+    for (const { run } of entries)
+        varint(run);
+    for (const { length } of entries)
+        varint(length);
+    entries.forEach(({ offset }, i) => {
+        const prev = entries[i - 1];
+        varint(prev && offset == prev.offset + prev.length ? 0 : offset + 1);
+    });
+    return new Uint8Array(bytes);
+}
+
+/**
+ * The tile id: the number of tiles at the lower zoom levels
+ * plus the position of the tile on the Hilbert curve at its level.
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ */
+function tileId(z, x, y) {
+    const n = 2 ** z;
+    if (!Number.isInteger(z) || z < 0 || z > 26 || !Number.isInteger(x) || !Number.isInteger(y)
+        || x < 0 || y < 0 || x >= n || y >= n)
+        throw new TypeError(`writePMTiles: tile ${z}/${x}/${y}: invalid address.`);
+    let d = 0;
+    for (let s = n / 2; s >= 1; s /= 2) {
+        const rx = (x & s) > 0 ? 1 : 0;
+        const ry = (y & s) > 0 ? 1 : 0;
+        d += s * s * ((3 * rx) ^ ry);
+        if (ry == 0) {
+            if (rx == 1) {
+                x = n - 1 - x;
+                y = n - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+    }
+    return (4 ** z - 1) / 3 + d;
+}
+
+/**
+ * FNV-1a of the bytes with the length, the key of the tile data.
+ * @param {Uint8Array} data
+ */
+function hash(data) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < data.length; i++)
+        h = Math.imul(h ^ data[i], 0x01000193);
+    return `${data.length}:${h >>> 0}`;
+}
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ */
+function equal(a, b) {
+    return a.length == b.length && a.every((v, i) => v == b[i]);
+}
@@ -0,0 +1,89 @@
+/**
+ * Starts the workers decoding the batches of records, Node worker_threads
+ * or Web Workers, see worker.js. The tasks are given to the idle workers,
+ * the others wait in the queue.
+ * @param {number} jobs number of workers
+ * @param {object} init settings of the decoding: prjwkt, target, withM, mode,
+ *   dates, numbers, precision, quantize, recordId, idField, removeIdField, deleted,
+ *   encoding and table (fields, flavor and reclen of the DBF)
+ */
+export async function workerPool(jobs, init) {
+    const url = new URL('./worker.js', import.meta.url);
+    const node = typeof process != 'undefined' && process.versions?.node;
+    const { Worker: NodeWorker } = node ? await import('node:worker_threads') : {};
+    /** @type {{post: Function, terminate: Function, task: any}[]} */
+    const workers = [];
+    /** @type {{message: any, transfer: any[], resolve: Function, reject: Function}[]} */
+    const waiting = [];
+    let failure = null;
+
+    /** Gives the task to the worker, or returns it to the idle ones. */
+    const next = (worker) => {
+        worker.task = waiting.shift() ?? null;
+        if (worker.task)
+            worker.post(worker.task.message, worker.task.transfer);
+    };
+    const done = (worker, data) => {
+        const task = worker.task;
+        if (data.error)
+            task.reject(new TypeError(data.error));
+        else
+            task.resolve(data.features);
+        next(worker);
+    };
+    const fail = (worker, err) => {
+        failure = new TypeError(`openIndexed: worker: ${err.message}`);
+        worker.task?.reject(failure);
+        for (const task of waiting.splice(0))
+            task.reject(failure);
+    };
+
+    for (let i = 0; i < jobs; i++) {
+        const worker = { post: null, terminate: null, task: null };
+        if (node) {
+            const w = new NodeWorker(url);
+            w.on('message', data => done(worker, data));
+            w.on('error', err => fail(worker, err));
+            worker.post = (message, transfer) => w.postMessage(message, transfer);
+            worker.terminate = () => w.terminate();
+        } else {
+            const w = new Worker(url, { type: 'module' });
+            w.onmessage = (event) => done(worker, event.data);
+            w.onerror = (event) => fail(worker, new Error(event.message));
+            worker.post = (message, transfer) => w.postMessage(message, transfer);
+            worker.terminate = () => w.terminate();
+        }
+        worker.post({ init });
+        workers.push(worker);
+    }
+
+    return {
+        /**
+         * Decodes the batch in a worker, see decodeBatch.
+         * @param {{bytes: ArrayBuffer, offsets: Int32Array, rows: ArrayBuffer | null, start: number}} message
+         * @param {ArrayBuffer[]} transfer the buffers of the message, detached
+         * @returns {Promise<GeoJSON.Feature[]>}
+         */
+        run(message, transfer) {
+            return new Promise((resolve, reject) => {
+                if (failure)
+                    return reject(failure);
+                waiting.push({ message, transfer, resolve, reject });
+                const idle = workers.find(w => !w.task);
+                if (idle)
+                    next(idle);
+            });
+        },
+        /** Terminates the workers, the tasks not done are rejected. */
+        close() {
+            failure ??= new TypeError('openIndexed: workers terminated.');
+            for (const worker of workers) {
+                worker.task?.reject(failure);
+                worker.task = null;
+                worker.terminate();
+            }
+            for (const task of waiting.splice(0))
+                task.reject(failure);
+        }
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * Returns the functions rounding the coordinates of the positions
+ * and of the bounding boxes to the number of decimals. With quantize,
+ * the positions are snapped to the grid of that step, then the repeated
+ * points are removed and the lines and rings collapsed by it are dropped.
+ * @param {number} decimals 0 to 100
+ * @param {boolean} [quantize]
+ */
+export function rounder(decimals, quantize = false) {
+    /** @param {number} v */
+    const round = (v) => Number(v.toFixed(decimals));
+    /** @param {GeoJSON.Position[]} line */
+    const roundLine = (line) => {
+        for (const p of line) {
+            for (let i = 0; i < p.length; i++)
+                p[i] = round(p[i]);
+        }
+        if (!quantize)
+            return line;
+        return line.filter((p, i) => i == 0 || p[0] != line[i - 1][0] || p[1] != line[i - 1][1]);
+    };
+    /**
+     * The polygon without the collapsed holes, null if the shell collapsed.
+     * @param {GeoJSON.Position[][]} rings
+     * @param {boolean} keep do not drop anything
+     */
+    const roundPolygon = (rings, keep) => {
+        const result = [];
+        for (const ring of rings) {
+            const r = roundLine(ring);
+            if (r.length >= 4)
+                result.push(r);
+            else if (keep)
+                result.push(ring);
+            else if (result.length == 0)
+                return null;
+        }
+        return result;
+    };
+
+    return {
+        /**
+         * Rounds the geometry and the bbox of the feature in place. The geometry
+         * collapsed by the quantization becomes null.
+         * @param {GeoJSON.Feature} feature
+         */
+        feature(feature) {
+            const geometry = feature.geometry;
+            if (!geometry)
+                return feature;
+            let empty = false;
+            switch (geometry.type) {
+                case 'Point':
+                    roundLine([geometry.coordinates]);
+                    break;
+                case 'MultiPoint':
+                    for (const p of geometry.coordinates)
+                        roundLine([p]);
+                    break;
+                case 'LineString':
+                    geometry.coordinates = roundLine(geometry.coordinates);
+                    empty = geometry.coordinates.length < 2;
+                    break;
+                case 'MultiLineString':
+                    geometry.coordinates = geometry.coordinates.map(roundLine).filter(l => l.length >= 2);
+                    empty = geometry.coordinates.length == 0;
+                    break;
+                case 'Polygon':
+                    geometry.coordinates = roundPolygon(geometry.coordinates, Array.isArray(geometry.partTypes));
+                    empty = !geometry.coordinates;
+                    break;
+                case 'MultiPolygon': {
+                    // the MultiPatch polygons match the partTypes, none is dropped
+                    const keep = Array.isArray(geometry.partTypes);
+                    geometry.coordinates = geometry.coordinates
+                        .map(rings => roundPolygon(rings, keep)).filter(p => p);
+                    empty = geometry.coordinates.length == 0;
+                    break;
+                }
+            }
+            if (empty) {
+                feature.geometry = null;
+                delete feature.bbox;
+            } else if (feature.bbox)
+                this.bbox(feature.bbox);
+            return feature;
+        },
+        /**
+         * Rounds the bbox in place.
+         * @param {number[]} bbox
+         */
+        bbox(bbox) {
+            for (let i = 0; i < bbox.length; i++) {
+                if (typeof bbox[i] == 'number')
+                    bbox[i] = round(bbox[i]);
+            }
+            return bbox;
+        }
+    };
+}
+
+/**
+ * Checks the options precision and quantize, returns the rounder
+ * or null without precision.
+ * @param {string} name for the error messages
+ * @param {{precision?: number, quantize?: boolean}} options
+ */
+export function precisionOption(name, options) {
+    const { precision, quantize = false } = options;
+    if (precision == null) {
+        if (quantize)
+            throw new TypeError(`${name}: quantize: precision expected.`);
+        return null;
+    }
+    if (!Number.isInteger(precision) || precision < 0 || precision > 100)
+        throw new TypeError(`${name}: precision: integer from 0 to 100 expected.`);
+    return rounder(precision, !!quantize);
+}
@@ -0,0 +1,95 @@
+/**
+ * Builds a static R-tree over the bounding boxes, packed
+ * by the Sort-Tile-Recursive algorithm.
+ * @param {GeoJSON.BBox[]} boxes
+ * @param {number} [nodeSize] max number of children of a node
+ */
+export function rtree(boxes, nodeSize = 16) {
+    /** @type {RNode[]} */
+    let nodes = boxes.map((bbox, index) => ({ bbox, index, children: null }));
+    while (nodes.length > nodeSize)
+        nodes = pack(nodes, nodeSize);
+    /** @type {RNode} */
+    const root = { bbox: union(nodes), index: -1, children: nodes };
+
+    return {
+        /** the bounding box of all the boxes, null if there are none */
+        extent: root.bbox,
+        /**
+         * Calls back with the index of each box containing the given box.
+         * @param {GeoJSON.BBox} box
+         * @param {(index: number) => void} callback
+         */
+        containing(box, callback) {
+            const stack = [root];
+            while (stack.length > 0) {
+                const node = stack.pop();
+                if (!node.bbox || !bboxContains(node.bbox, box))
+                    continue;
+                if (node.children)
+                    stack.push(...node.children);
+                else
+                    callback(node.index);
+            }
+        }
+    };
+}
+
+/**
+ * @typedef {object} RNode
+ * @property {GeoJSON.BBox | null} bbox
+ * @property {number} index of the box for a leaf, -1 otherwise
+ * @property {RNode[] | null} children
+ */
+
+/**
+ * Groups the nodes into parent nodes: sorts them by x into vertical slices,
+ * each slice by y, and takes the consecutive nodes.
+ * @param {RNode[]} nodes
+ * @param {number} nodeSize
+ * @returns {RNode[]}
+ */
+function pack(nodes, nodeSize) {
+    const cx = (n) => n.bbox[0] + n.bbox[2];
+    const cy = (n) => n.bbox[1] + n.bbox[3];
+    const count = Math.ceil(nodes.length / nodeSize);
+    const slice = nodeSize * Math.ceil(Math.sqrt(count));
+    const sorted = nodes.slice().sort((a, b) => cx(a) - cx(b));
+    const parents = [];
+    for (let i = 0; i < sorted.length; i += slice) {
+        const part = sorted.slice(i, i + slice).sort((a, b) => cy(a) - cy(b));
+        for (let j = 0; j < part.length; j += nodeSize) {
+            const children = part.slice(j, j + nodeSize);
+            parents.push({ bbox: union(children), index: -1, children });
+        }
+    }
+    return parents;
+}
+
+/**
+ * @param {RNode[]} nodes
+ * @returns {GeoJSON.BBox | null}
+ */
+function union(nodes) {
+    if (nodes.length == 0)
+        return null;
+    const [first, ...rest] = nodes;
+    /** @type {GeoJSON.BBox} */
+    const bbox = [first.bbox[0], first.bbox[1], first.bbox[2], first.bbox[3]];
+    for (const { bbox: b } of rest) {
+        bbox[0] = Math.min(bbox[0], b[0]);
+        bbox[1] = Math.min(bbox[1], b[1]);
+        bbox[2] = Math.max(bbox[2], b[2]);
+        bbox[3] = Math.max(bbox[3], b[3]);
+    }
+    return bbox;
+}
+
+/**
+ * Is the box b within the box a, borders included?
+ * @param {GeoJSON.BBox} a
+ * @param {GeoJSON.BBox} b
+ */
+function bboxContains(a, b) {
+    return a[0] <= b[0] && a[1] <= b[1] && a[2] >= b[2] && a[3] >= b[3];
+}
@@ -1,10 +1,15 @@
 #!/usr/bin/env node
 
-import { DBFTransform, SHPTransform, stitch } from './parser.js';
-import { createReadStream, readFileSync, existsSync, createWriteStream } from 'node:fs';
+import { SimplifyTransform, GeoJSONTransform, toTopology, vectorTiles, writePMTiles, toWKT, toWKB,
+    openIndexed, openZip, cpgEncoding, open as openShapefile } from './parser.js';
+import { readFileSync, existsSync, createWriteStream } from 'node:fs';
+import { open, mkdir, writeFile } from 'node:fs/promises';
 import { parseArgs } from 'node:util';
+import { Writable } from 'node:stream';
+import { basename, join } from 'node:path';
+import { inspect, formatInfo } from './info.js';
 
-let decimals = 6;    // for coords formatting
+let decimals = 6;    // precision of the coordinates
 let limit = 1000000000;
 let start = 0;
 let output = process.stdout;
@@ -12,14 +17,67 @@ let output = process.stdout;
 const usage = `
 Shapefile to GeoJSON converter.
 Options:
-  -i, --input      Path to input files (without extension)
+  -i, --input      Path to input files (without extension) or to a zip archive
+      --layer      Layer (path without extension) in the zip archive,
+                   the first one by default
   -o, --output     Path to output file, stdout by default
-  -n, --ndjson     Output newline-delimited Feature records only
+  -f, --format     'geojson' for a FeatureCollection (default), 'ndjson' for
+                   newline-delimited features, 'geojsonseq' for RFC 8242
+                   GeoJSON text sequence, 'topojson' for a TopoJSON topology,
+                   'mvt' for Mapbox vector tiles written to the --output
+                   directory as z/x/y.pbf or, if it ends with .pmtiles,
+                   to a PMTiles archive; 'csv' for CSV with the geometry
+                   as WKT, 'wkt' or 'wkb' for CSV with the geometry as
+                   EWKT or hex EWKB with the SRID, if known
+      --quantization  With --format topojson, number of the distinct values
+                   on each axis, like 100000; the arcs are delta-encoded
+      --max-positions  With --format topojson, max number of positions kept
+                   in memory, 10000000 by default
+      --minzoom    With --format mvt, the lowest zoom level, 0 by default
+      --maxzoom    With --format mvt, the highest zoom level, 14 by default
+      --attributes  With --format mvt, comma-separated properties kept
+                   in the tiles, all by default
+  -n, --ndjson     Same as --format ndjson
       --decimals   Precision of coordinates in the output, 6 by default
-      --encoding   Text fields enconding in DBF file, latin1 by default
+      --quantize   Snap coordinates to the grid of the precision and remove
+                   repeated points
+      --encoding   Text fields encoding in DBF file, by default from .cpg file
+                   or DBF header, latin1 if unknown
+      --deleted    Records marked deleted in the DBF file: 'skip' (default),
+                   'keep-with-flag' or 'keep-null-properties'
+      --bbox       Accept only features intersecting the bounding box w,s,e,n
+      --clip-to    Accept only features intersecting the polygons
+                   from the GeoJSON file
       --limit      Max number of features to accept, skip the rest
       --start      Number of features to skip at the beginnning
       --withM      Do not ignore the 'M' values
+      --record-id  Set the feature ids to the record numbers
+      --id-field   Set the feature ids from the DBF field
+      --remove-id-field  Remove the --id-field from the properties
+      --jobs       Number of worker threads decoding the records,
+                   1 by default; needs the shx file
+      --s_srs      Source projection (WKT, EPSG code or proj string),
+                   overrides the .prj file
+      --t_srs      Target projection, longitudes and latitudes by default;
+                   EPSG codes other than 4326, 4269, 3857 and the WGS84
+                   UTM zones need WKT or proj strings
+      --simplify   Simplify geometries with the tolerance, in the units
+                   of the output coordinates by default
+      --simplify-method  'douglas-peucker' (default) or 'visvalingam'
+      --simplify-units  'target' (default) for the tolerance in the units
+                   of the output coordinates, 'source' in the units of
+                   the source projection
+      --antimeridian  'clamp' to clamp longitudes and latitudes to their
+                   ranges, 'split' to split geometries crossing the antimeridian
+                   (not with a projected --t_srs)
+      --lenient    Repair bad polygon rings and skip unparseable records
+                   instead of stopping
+      --report     Path to file for the diagnostics as newline-delimited
+                   JSON, stderr by default
+      --info       Print a summary of the shapefile instead of converting it
+      --deep       With --info, scan the records to count them, the null
+                   shapes and the deleted rows
+      --json       With --info, print the summary as JSON
   -h, --help       Show this help and exit
       --version    Show version number and exit
 `;
@@ -29,13 +87,39 @@ const { args } = (() => {
         const { values } = parseArgs({
             options: {
                 input: { type: 'string', short: 'i' },
+                layer: { type: 'string' },
                 output: { type: 'string', short: 'o' },
+                format: { type: 'string', short: 'f' },
+                quantization: { type: 'string' },
+                'max-positions': { type: 'string' },
+                minzoom: { type: 'string' },
+                maxzoom: { type: 'string' },
+                attributes: { type: 'string' },
                 ndjson: { type: 'boolean', short: 'n', default: false },
                 decimals: { type: 'string' },
+                quantize: { type: 'boolean', default: false },
                 encoding: { type: 'string' },
+                deleted: { type: 'string' },
+                bbox: { type: 'string' },
+                'clip-to': { type: 'string' },
                 limit: { type: 'string' },
                 start: { type: 'string' },
                 withM: { type: 'boolean', default: false },
+                'record-id': { type: 'boolean', default: false },
+                'id-field': { type: 'string' },
+                'remove-id-field': { type: 'boolean', default: false },
+                jobs: { type: 'string' },
+                antimeridian: { type: 'string' },
+                s_srs: { type: 'string' },
+                t_srs: { type: 'string' },
+                simplify: { type: 'string' },
+                'simplify-method': { type: 'string' },
+                'simplify-units': { type: 'string' },
+                lenient: { type: 'boolean', default: false },
+                report: { type: 'string' },
+                info: { type: 'boolean', default: false },
+                deep: { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
                 help: { type: 'boolean', short: 'h' },
                 version: { type: 'boolean' }
             },
@@ -61,8 +145,24 @@ if (!args.input)
     quit('Input files not specified\n' + usage);
 if (args.input.endsWith('.shp') || args.input.endsWith('.SHP'))
     args.input = args.input.substring(0, args.input.length - 4);
+const zipped = /\.zip$/i.test(args.input);
 
-if (args.output) {
+const formats = {
+    geojson: 'FeatureCollection', ndjson: 'ndjson', geojsonseq: 'geojsonseq', topojson: 'topojson', mvt: 'mvt',
+    csv: 'csv', wkt: 'wkt', wkb: 'wkb'
+};
+if (args.format && !(args.format in formats))
+    quit(`Option ${args.format} invalid`);
+if (args.format && args.ndjson && args.format != 'ndjson')
+    quit('Options --format and --ndjson conflict');
+const format = formats[args.format ?? (args.ndjson ? 'ndjson' : 'geojson')];
+
+if (format == 'mvt') {
+    if (!args.output)
+        quit('Option --format mvt needs --output');
+    if (args.t_srs)
+        quit('Options --format mvt and --t_srs conflict');
+} else if (args.output) {
     try {
         output = createWriteStream(args.output, 'utf-8');
     } catch (err) {
@@ -70,8 +170,44 @@ if (args.output) {
     }
 }
 
+const zooms = {};
+for (const key of ['minzoom', 'maxzoom']) {
+    if (args[key]) {
+        if (args[key].match(/^(0|[1-9][0-9]?)$/) && Number(args[key]) <= 24)
+            zooms[key] = Number(args[key]);
+        else
+            quit(`Option ${args[key]} invalid`);
+    }
+}
+if ((args.minzoom || args.maxzoom || args.attributes) && format != 'mvt')
+    quit('Options --minzoom, --maxzoom and --attributes need --format mvt');
+if (zooms.maxzoom == null && zooms.minzoom > 14)
+    zooms.maxzoom = zooms.minzoom;
+if (zooms.minzoom > zooms.maxzoom)
+    quit('Option --minzoom exceeds --maxzoom');
+const attributes = args.attributes?.split(',').map(a => a.trim()).filter(a => a != '');
+
+let quantization = undefined;
+if (args.quantization) {
+    if (args.quantization.match(/^[1-9][0-9]*$/) && Number(args.quantization) > 1)
+        quantization = Number(args.quantization);
+    else
+        quit(`Option ${args.quantization} invalid`);
+}
+
+if ((args.quantization || args['max-positions']) && format != 'topojson')
+    quit('Options --quantization and --max-positions need --format topojson');
+
+let maxPositions = undefined;
+if (args['max-positions']) {
+    if (args['max-positions'].match(/^[1-9][0-9]*$/))
+        maxPositions = Number(args['max-positions']);
+    else
+        quit(`Option ${args['max-positions']} invalid`);
+}
+
 if (args.decimals) {
-    if (args.decimals.match(/^[1-9][0-9]*$/))
+    if (args.decimals.match(/^(0|[1-9][0-9]*)$/))
         decimals = Number(args.decimals);
     else
         quit(`Option ${args.decimals} invalid`);
@@ -84,6 +220,33 @@ if (args.limit) {
         quit(`Option ${args.limit} invalid`);
 }
 
+let tolerance = null;
+if (args.simplify) {
+    tolerance = Number(args.simplify);
+    if (args.simplify.trim() == '' || !(tolerance >= 0))
+        quit(`Option ${args.simplify} invalid`);
+}
+
+const filter = (() => {
+    if (args.bbox) {
+        const bb = args.bbox.split(',').map(Number);
+        if (bb.length != 4 || bb.some(v => isNaN(v)))
+            quit(`Option ${args.bbox} invalid`);
+        return bb;
+    }
+    if (args['clip-to']) {
+        try {
+            return JSON.parse(readFileSync(args['clip-to'], 'utf-8'));
+        } catch (err) {
+            quit(err.message);
+        }
+    }
+    return null;
+})();
+
+if (args['remove-id-field'] && !args['id-field'])
+    quit('Option --remove-id-field needs --id-field');
+
 if (args.start) {
     if (args.start.match(/^[1-9][0-9]*$/))
         start = Number(args.start);
@@ -91,82 +254,357 @@ if (args.start) {
         quit(`Option ${args.start} invalid`);
 }
 
-const shpstream = (() => {
+let jobs = 1;
+if (args.jobs) {
+    if (args.jobs.match(/^[1-9][0-9]*$/))
+        jobs = Number(args.jobs);
+    else
+        quit(`Option ${args.jobs} invalid`);
+}
+
+const shpfile = (() => {
+    if (zipped)
+        return null;
+    let fn = args.input + '.shp';
+    if (!existsSync(fn))
+        fn = args.input + '.SHP';
+    if (!existsSync(fn))
+        quit(`shp file not found`);
+    return fn;
+})();
+
+const dbffile = (() => {
+    if (zipped)
+        return null;
+    let fn = args.input + '.dbf';
+    if (!existsSync(fn))
+        fn = args.input + '.DBF';
+    if (existsSync(fn))
+        return fn;
+    note(`note: no dbf file`);
+    return null;
+})();
+
+const shxfile = (() => {
+    if (zipped)
+        return null;
+    let fn = args.input + '.shx';
+    if (!existsSync(fn))
+        fn = args.input + '.SHX';
+    return existsSync(fn) ? fn : null;
+})();
+
+const memofile = (() => {
+    if (zipped)
+        return null;
+    for (const ext of ['.dbt', '.DBT', '.fpt', '.FPT']) {
+        if (existsSync(args.input + ext))
+            return args.input + ext;
+    }
+    return null;
+})();
+
+const prjwkt = (() => {
+    if (args.s_srs)
+        return args.s_srs;
+    if (zipped)
+        return null;
     try {
-        let fn = args.input + '.shp';
-        if (!existsSync(fn))
-            fn = args.input + '.SHP';
+        let fn = args.input + '.prj';
         if (!existsSync(fn))
-            quit(`shp file not found`);
-        return ReadableStream.from(createReadStream(fn));
+            fn = args.input + '.PRJ';
+        if (existsSync(fn))
+            return readFileSync(fn, 'utf-8');
+        note(`note: no prj file`);
+        return null;
     } catch (err) {
         quit(err.message);
     }
 })();
 
-const dbfstream = (() => {
+const encoding = (() => {
+    if (args.encoding)
+        return args.encoding;
+    if (zipped)
+        return undefined;
     try {
-        let fn = args.input + '.dbf';
+        let fn = args.input + '.cpg';
         if (!existsSync(fn))
-            fn = args.input + '.DBF';
-        if (existsSync(fn))
-            return ReadableStream.from(createReadStream(fn));
-        console.log(`note: no dbf file`);
-        return null;
+            fn = args.input + '.CPG';
+        if (!existsSync(fn))
+            return undefined;
+        const text = readFileSync(fn, 'utf-8');
+        const encoding = cpgEncoding(text);
+        if (!encoding)
+            note(`note: unknown encoding in cpg file: ${text.trim()}`);
+        return encoding ?? undefined;
     } catch (err) {
         quit(err.message);
     }
 })();
 
-const prjwkt = (() => {
+if (args.info) {
+    if (zipped)
+        quit('Option --info is not implemented for zip archives');
     try {
-        let fn = args.input + '.prj';
-        if (!existsSync(fn))
-            fn = args.input + '.PRJ';
-        if (existsSync(fn))
-            return readFileSync(fn, 'utf-8');
-        console.log(`note: no prj file`);
-        return null;
+        const info = await inspect({
+            shp: await open(shpfile),
+            shx: shxfile ? await open(shxfile) : null,
+            dbf: dbffile ? await open(dbffile) : null
+        }, { prjwkt: prjwkt ?? '', encoding, deep: args.deep });
+        output.write(args.json ? JSON.stringify(info, null, 2) + '\n' : formatInfo(info));
+        output.end();
     } catch (err) {
         quit(err.message);
     }
+    process.exit(0);
+}
+
+let bbox = Array(4);
+let crs = null;
+let layerName = basename(args.input);
+/** @type {Promise<object> | object | null} the DBF metadata, for the CSV header */
+let dbfMetadata = null;
+/** @type {import('node:fs/promises').FileHandle | null} the zip archive, closed once the output is written */
+let zipHandle = null;
+// the output is in longitudes and latitudes unless the target is given
+let srid = args.t_srs ?? (prjwkt ? 4326 : undefined);
+// the source projection of the simplification in the source units
+let sourcePrj = prjwkt ?? '';
+
+const lenient = (() => {
+    const report = args.report ? createWriteStream(args.report, 'utf-8') : null;
+    const diagnostic = (level) => (diag) => {
+        if (report)
+            report.write(JSON.stringify({ level, ...diag }) + '\n');
+        else
+            console.error(`${level}: ${diag.source} record ${diag.record}: ${diag.code}: ${diag.message}`);
+    };
+    process.on('exit', () => report?.end());
+    return {
+        lenient: args.lenient,
+        onWarning: diagnostic('warning'),
+        onError: diagnostic('error')
+    };
 })();
 
-const bbox = Array(4);
-const shpTransform = SHPTransform(bbox, prjwkt, args.withM);
-const dbfTransform = DBFTransform(args.encoding);
+// progress bar on stderr when the output is a file
+let expected = null;    // number of features if known in advance
+const progress = (() => {
+    if (!args.output || !process.stderr.isTTY)
+        return null;
+    let last = 0;
+    /**
+     * @param {number} done
+     * @param {number | null} total
+     * @param {number} features written
+     * @param {boolean} [force] skip the throttling
+     */
+    return (done, total, features, force = false) => {
+        const now = Date.now();
+        if (!force && now - last < 200)
+            return;
+        last = now;
+        const ratio = total ? Math.min(1, done / total) : 0;
+        const bar = '#'.repeat(Math.round(30 * ratio)).padEnd(30, '-');
+        process.stderr.write(`\r[${bar}] ${(100 * ratio).toFixed(0).padStart(3)}% ${features} features`);
+    };
+})();
+const onProgress = progress ? (p) => progress(p.bytes, p.totalBytes, p.records) : undefined;
 
-const features = dbfstream ?
-    stitch(shpstream.pipeThrough(shpTransform), dbfstream.pipeThrough(dbfTransform))
-    : shpstream.pipeThrough(shpTransform);
+// coordinates rounded by the library, the attributes are not
+const precision = { precision: decimals, quantize: args.quantize };
+const ids = { recordId: args['record-id'], idField: args['id-field'], removeIdField: args['remove-id-field'] };
+const deleted = args.deleted;
+
+const features = await (async () => {
+    try {
+        if (jobs > 1 && !(shxfile && !filter && !args.lenient))
+            console.error('note: --jobs needs the shx file, ignored with --bbox, --clip-to and --lenient');
+        if (zipped) {
+            zipHandle = await open(args.input);
+            const layers = await openZip(zipHandle,
+                { encoding, withM: args.withM, filter, antimeridian: args.antimeridian, ...precision, ...ids,
+                    deleted, prjwkt: prjwkt ?? undefined, target: args.t_srs, onProgress, ...lenient });
+            if (layers.length == 0)
+                quit('No shapefiles in the zip archive');
+            const layer = args.layer ? layers.find(l => l.name == args.layer) : layers[0];
+            if (!layer)
+                quit(`Layer ${args.layer} not found`);
+            if (layers.length > 1 && !args.layer)
+                console.error(`note: layers ${layers.map(l => l.name).join(', ')}, using ${layer.name}`);
+            bbox = layer.bbox;
+            crs = layer.crs;
+            layerName = basename(layer.name);
+            srid = args.t_srs ?? (layer.prjwkt ? 4326 : undefined);
+            sourcePrj = layer.prjwkt;
+            const features = layer.features();
+            dbfMetadata = layer.metadata.dbf;
+            return features;
+        }
+        if (shxfile && !filter && !args.lenient && (start > 0 || args.limit || jobs > 1)) {
+            // random access, no need to parse the skipped records
+            const indexed = await openIndexed({
+                shp: await open(shpfile),
+                shx: await open(shxfile),
+                dbf: dbffile ? await open(dbffile) : null,
+                memo: memofile ? await open(memofile) : null
+            }, {
+                prjwkt: prjwkt ?? '', withM: args.withM, encoding,
+                antimeridian: args.antimeridian, target: args.t_srs, jobs, ...precision, ...ids, deleted
+            });
+            for (let i = 0; i < 4; i++)
+                bbox[i] = indexed.bbox[i];
+            crs = indexed.crs;
+            dbfMetadata = indexed.metadata.dbf;
+            // start and limit count the features, the deleted DBF rows may be skipped
+            const first = await indexed.recordOf(start);
+            const end = args.limit ? await indexed.recordOf(start + limit) : indexed.count;
+            // without the limit, the deleted rows up to the end make it an upper bound
+            expected = end < indexed.count ? limit : end - first;
+            const features = indexed.features(first, end - first);
+            start = 0;
+            return features;
+        }
+        if (!dbffile && ids.idField)
+            quit('Option --id-field needs the dbf file');
+        const shapefile = await openShapefile(shpfile, {
+            prjwkt: prjwkt ?? undefined, encoding, withM: args.withM, filter, antimeridian: args.antimeridian,
+            target: args.t_srs, deleted, onProgress, ...precision, ...ids, ...lenient
+        });
+        for (let i = 0; i < 4; i++)
+            bbox[i] = shapefile.bbox[i];
+        crs = shapefile.crs;
+        dbfMetadata = shapefile.metadata.dbf;
+        return shapefile.features();
+    } catch (err) {
+        quit(err.message);
+    }
+})();
+
+const simplified = (() => {
+    // the arcs of the topology are simplified instead
+    if (tolerance == null || format == 'topojson')
+        return features;
+    try {
+        const options = { method: args['simplify-method'], units: args['simplify-units'],
+            prjwkt: sourcePrj, target: args.t_srs };
+        return ReadableStream.from(features).pipeThrough(SimplifyTransform(tolerance, options));
+    } catch (err) {
+        quit(err.message);
+    }
+})();
 
-const nd = args.ndjson;
-let first = true;
+// start and limit, the progress of the indexed reading
 let count = 0;
-for await (const feature of features) {
-    count += 1;
-    if (count <= start)
-        continue;
-    if (count > start + limit)
-        break;
-    if (!nd) {
-        if (first) {
-            const bb = JSON.stringify(bbox, fmt);
-            output.write(`{"type": "FeatureCollection", "bbox": ${bb}, "features": [\n`);
-        } else
-            output.write(',\n');
-    }
-    first = false;
-    output.write(JSON.stringify(feature, fmt));
-    if (nd)
-        output.write('\n');
-}
-if (!nd)
-    output.write('\n]}\n');
-output.end();
-
-function fmt(k, v) {
-    return typeof v == 'number' ? Number(v.toFixed(decimals)) : v;
+async function* selected() {
+    for await (const feature of simplified) {
+        count += 1;
+        if (count <= start)
+            continue;
+        if (count > start + limit)
+            break;
+        yield feature;
+        if (expected != null)
+            progress?.(count - start, expected, count - start);
+    }
+}
+
+// the arcs are written in portions, the whole text may be too long for a string
+async function* topologyText() {
+    const { arcs, ...topology } = await toTopology(selected(), {
+        name: layerName, quantization, maxPositions, tolerance: tolerance ?? undefined,
+        method: args['simplify-method'], units: args['simplify-units'], prjwkt: sourcePrj, target: args.t_srs
+    });
+    yield JSON.stringify(topology).slice(0, -1) + ',"arcs":[';
+    for (let i = 0; i < arcs.length; i += 1000)
+        yield (i > 0 ? ',' : '') + arcs.slice(i, i + 1000).map(arc => JSON.stringify(arc)).join(',');
+    yield ']}\n';
+}
+
+/**
+ * The CSV field (RFC 4180), quoted if needed.
+ * @param {any} value
+ */
+function csvField(value) {
+    if (value == null)
+        return '';
+    const text = value instanceof Date ? value.toISOString()
+        : ArrayBuffer.isView(value) ? Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('hex')
+            : typeof value == 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// the header row from the DBF fields, read once the first feature is,
+// then the rows with the geometry in the last column
+async function* csvText() {
+    const options = { withM: args.withM, srid: format == 'csv' ? undefined : srid };
+    const geometry = format == 'wkb'
+        ? (g) => g ? Buffer.from(toWKB(g, options)).toString('hex') : null
+        : (g) => toWKT(g, options);
+    const withId = ids.recordId || ids.idField;
+    let names = null;
+    let text = '';
+    const header = async () => {
+        const fields = (await dbfMetadata)?.fields ?? [];
+        names = fields.map(f => f.name).filter(name => !(ids.removeIdField && name == ids.idField));
+        // the added columns do not repeat the field names
+        const column = (name) => names.includes(name) ? column('_' + name) : name;
+        const row = [...(withId ? [column('id')] : []), ...names, column(format == 'csv' ? 'WKT' : 'geom')];
+        return row.map(csvField).join(',') + '\r\n';
+    };
+    for await (const feature of selected()) {
+        if (!names)
+            text += await header();
+        const row = names.map(name => csvField(feature.properties?.[name]));
+        if (withId)
+            row.unshift(csvField(feature.id));
+        row.push(csvField(geometry(feature.geometry)));
+        text += row.join(',') + '\r\n';
+        if (text.length >= 65536) {
+            yield text;
+            text = '';
+        }
+    }
+    if (!names)
+        text += await header();
+    yield text;
+}
+
+// the tiles go to a PMTiles archive or to the directory tree with TileJSON-like metadata.json
+async function writeTiles() {
+    const tiles = vectorTiles(selected(), { name: layerName, attributes, ...zooms });
+    if (/\.pmtiles$/i.test(args.output)) {
+        await writePMTiles(tiles).pipeTo(Writable.toWeb(createWriteStream(args.output)));
+        return;
+    }
+    for await (const { z, x, y, data } of tiles) {
+        await mkdir(join(args.output, `${z}`, `${x}`), { recursive: true });
+        await writeFile(join(args.output, `${z}`, `${x}`, `${y}.pbf`), data);
+    }
+    await mkdir(args.output, { recursive: true });
+    await writeFile(join(args.output, 'metadata.json'), JSON.stringify(tiles.metadata, null, 2) + '\n');
+}
+
+try {
+    if (format == 'mvt')
+        await writeTiles();
+    else {
+        const text = { topojson: topologyText, csv: csvText, wkt: csvText, wkb: csvText }[format];
+        const bytes = text
+            ? ReadableStream.from(text()).pipeThrough(new TextEncoderStream())
+            : ReadableStream.from(selected())
+                .pipeThrough(GeoJSONTransform({ format, bbox, crs: crs ?? undefined }));
+        await bytes.pipeTo(Writable.toWeb(output));
+    }
+} catch (err) {
+    quit(err.message);
+} finally {
+    await zipHandle?.close();
+}
+if (progress) {
+    progress(1, 1, Math.max(0, Math.min(count, start + limit) - start), true);
+    process.stderr.write('\n');
 }
 
 function version() {
@@ -181,6 +619,12 @@ function version() {
     console.log(`App version: ${version}, Node: ${process.versions.node}`);
 }
 
+/** Notes are not printed with --info, its summary tells the same. */
+function note(msg) {
+    if (!args.info)
+        console.log(msg);
+}
+
 function quit(msg) {
     console.error(msg);
     process.exit(1);
@@ -0,0 +1,343 @@
+import { insideRing, unprojector } from './common.js';
+
+const methods = ['douglas-peucker', 'visvalingam'];
+const units = ['target', 'source'];
+
+/**
+ * Returns TransformStream simplifying the geometries of the features,
+ * to be piped after SHPTransform. The feature bboxes are recomputed.
+ * @param {number} tolerance in the units of the coordinates: the max distance
+ *  of the removed points from the simplified line for Douglas-Peucker,
+ *  the square root of the min triangle area kept for Visvalingam.
+ * @param {object} [options]
+ * @param {string} [options.method] 'douglas-peucker' (default) or 'visvalingam'
+ * @param {string} [options.units] of the tolerance, 'target' (default) for the
+ *  coordinates of the features, 'source' for the source projection.
+ * @param {string} [options.prjwkt] Source projection, see SHPTransform, for the 'source' units.
+ * @param {string} [options.target] see SHPTransform, for the 'source' units.
+ * @returns TransformStream
+ */
+export function SimplifyTransform(tolerance, options = {}) {
+    if (typeof tolerance != 'number' || !(tolerance >= 0))
+        throw new TypeError('SimplifyTransform: first arg: non-negative number expected.');
+    if (!options || typeof options != 'object')
+        throw new TypeError('SimplifyTransform: second arg: object expected.');
+    const simplify = simplifier(tolerance, options, 'SimplifyTransform');
+    return new TransformStream({
+        transform(feature, controller) {
+            if (feature.geometry)
+                simplifyFeature(feature, simplify);
+            controller.enqueue(feature);
+        }
+    });
+}
+
+/**
+ * Returns the function simplifying a line with the tolerance.
+ * @param {number} tolerance
+ * @param {{method?: string, units?: string, prjwkt?: string, target?: string}} options
+ * @param {string} name of the function for the messages
+ * @returns {(line: GeoJSON.Position[], min: number) => GeoJSON.Position[]}
+ */
+export function simplifier(tolerance, options, name) {
+    const { method = 'douglas-peucker', units: unit = 'target', prjwkt = '', target } = options;
+    if (!methods.includes(method))
+        throw new TypeError(`${name}: method: one of ${methods.join(', ')} expected.`);
+    if (!units.includes(unit))
+        throw new TypeError(`${name}: units: one of ${units.join(', ')} expected.`);
+    const simplify = method == 'visvalingam'
+        ? (line, min) => visvalingam(line, tolerance * tolerance, min)
+        : (line, min) => douglasPeucker(line, tolerance, min);
+    if (unit == 'target')
+        return simplify;
+    const unproject = unprojector(prjwkt, target, name);
+    // the points kept in the source projection are kept in the target one
+    return (line, min) => {
+        const source = line.map(p => unproject(p));
+        const index = new Map(source.map((p, i) => [p, i]));
+        const kept = simplify(source, min);
+        return kept == source ? line : kept.map(p => line[index.get(p)]);
+    };
+}
+
+/**
+ * @param {GeoJSON.Feature} feature
+ * @param {(line: GeoJSON.Position[], min: number) => GeoJSON.Position[]} simplify
+ */
+function simplifyFeature(feature, simplify) {
+    const geometry = feature.geometry;
+    switch (geometry.type) {
+        case 'LineString':
+            geometry.coordinates = simplify(geometry.coordinates, 2);
+            break;
+        case 'MultiLineString':
+            geometry.coordinates = geometry.coordinates.map(line => simplify(line, 2));
+            break;
+        case 'Polygon':
+            geometry.coordinates = simplifyPolygon(geometry.coordinates, simplify);
+            break;
+        case 'MultiPolygon':
+            geometry.coordinates = geometry.coordinates.map(rings => simplifyPolygon(rings, simplify));
+            break;
+        default:
+            return;
+    }
+    if (feature.bbox) {
+        const lines = geometry.type == 'LineString' ? [geometry.coordinates]
+            : geometry.type == 'MultiPolygon' ? geometry.coordinates.flat()
+                : geometry.coordinates;
+        let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+        for (const line of lines) {
+            for (const [x, y] of line) {
+                w = Math.min(w, x);
+                e = Math.max(e, x);
+                s = Math.min(s, y);
+                n = Math.max(n, y);
+            }
+        }
+        // the bbox crossing the antimeridian keeps its longitudes
+        if (feature.bbox[0] <= feature.bbox[2]) {
+            feature.bbox[0] = w;
+            feature.bbox[2] = e;
+        }
+        feature.bbox[1] = s;
+        feature.bbox[3] = n;
+    }
+}
+
+/**
+ * Simplifies the rings of the polygon keeping them valid:
+ * a ring that would collapse or a hole that would get out of the shell
+ * is kept as is, and so is the shell if its holes do not fit otherwise.
+ * @param {GeoJSON.Position[][]} rings the shell first
+ * @param {(line: GeoJSON.Position[], min: number) => GeoJSON.Position[]} simplify
+ */
+function simplifyPolygon(rings, simplify) {
+    const ring = (r) => {
+        const s = simplify(r, 4);
+        return s.length >= 4 && area(s) != 0 ? s : r;
+    };
+    const holes = (shell) => rings.slice(1).map(h => {
+        const s = ring(h);
+        return contains(shell, s) ? s : h;
+    });
+    let shell = ring(rings[0]);
+    let inner = holes(shell);
+    if (shell != rings[0] && !inner.every(h => contains(shell, h))) {
+        shell = rings[0];
+        inner = holes(shell);
+    }
+    return [shell, ...inner];
+}
+
+/**
+ * Is the hole inside the shell? All its points are inside and
+ * no edge of the shell touches or crosses an edge of the hole.
+ * @param {GeoJSON.Position[]} shell
+ * @param {GeoJSON.Position[]} hole
+ */
+function contains(shell, hole) {
+    if (!hole.every(p => (insideRing(p, shell) & 0x01) != 0))
+        return false;
+    let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+    for (const [x, y] of hole) {
+        w = Math.min(w, x);
+        e = Math.max(e, x);
+        s = Math.min(s, y);
+        n = Math.max(n, y);
+    }
+    // only the shell edges overlapping the bbox of the hole are tested
+    const edges = [];
+    for (let i = 0; i < shell.length - 1; i++) {
+        const a = shell[i], b = shell[i + 1];
+        if (Math.max(a[0], b[0]) >= w && Math.min(a[0], b[0]) <= e
+            && Math.max(a[1], b[1]) >= s && Math.min(a[1], b[1]) <= n)
+            edges.push(i);
+    }
+    for (let j = 0; j < hole.length - 1; j++) {
+        for (const i of edges) {
+            if (intersect(shell[i], shell[i + 1], hole[j], hole[j + 1]))
+                return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Do the segments ab and cd have a common point?
+ * @param {GeoJSON.Position} a
+ * @param {GeoJSON.Position} b
+ * @param {GeoJSON.Position} c
+ * @param {GeoJSON.Position} d
+ */
+function intersect(a, b, c, d) {
+    const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+    const c1 = side(a, b, c), d1 = side(a, b, d);
+    const a1 = side(c, d, a), b1 = side(c, d, b);
+    if (c1 == 0 && d1 == 0) {
+        // collinear, the projections on the axes overlap
+        return Math.max(a[0], b[0]) >= Math.min(c[0], d[0]) && Math.max(c[0], d[0]) >= Math.min(a[0], b[0])
+            && Math.max(a[1], b[1]) >= Math.min(c[1], d[1]) && Math.max(c[1], d[1]) >= Math.min(a[1], b[1]);
+    }
+    return c1 * d1 <= 0 && a1 * b1 <= 0;
+}
+
+/**
+ * Signed area of the closed ring.
+ * @param {GeoJSON.Position[]} ring
+ */
+function area(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++)
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    return 0.5 * sum;
+}
+
+/**
+ * Squared distance from the point p to the segment ab.
+ * @param {GeoJSON.Position} p
+ * @param {GeoJSON.Position} a
+ * @param {GeoJSON.Position} b
+ */
+function segmentDistance2(p, a, b) {
+    let [x, y] = a;
+    const dx = b[0] - x, dy = b[1] - y;
+    if (dx != 0 || dy != 0) {
+        const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = b[0];
+            y = b[1];
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+    return (p[0] - x) ** 2 + (p[1] - y) ** 2;
+}
+
+/**
+ * Douglas-Peucker simplification.
+ * A ring is first split at the point farthest from its first point.
+ * @param {GeoJSON.Position[]} line
+ * @param {number} tolerance
+ * @param {number} min number of points to keep, 4 for the rings
+ */
+export function douglasPeucker(line, tolerance, min) {
+    const last = line.length - 1;
+    if (last < min)
+        return line;
+    const keep = new Uint8Array(line.length);
+    keep[0] = keep[last] = 1;
+    /** marks the farthest point of the range if beyond the tolerance or forced */
+    const farthest = (first, end, force) => {
+        let max = -1, index = -1;
+        for (let i = first + 1; i < end; i++) {
+            const d = segmentDistance2(line[i], line[first], line[end]);
+            if (d > max) {
+                max = d;
+                index = i;
+            }
+        }
+        if (index > 0 && (force || max > tolerance * tolerance)) {
+            keep[index] = 1;
+            return index;
+        }
+        return -1;
+    };
+    const stack = [];
+    if (min >= 4) {
+        // the ring: both halves keep at least one point
+        const f = farthest(0, last, true);
+        stack.push([0, f], [f, last]);
+        if (farthest(0, f, true) < 0)
+            farthest(f, last, true);
+    } else
+        stack.push([0, last]);
+    while (stack.length > 0) {
+        const [first, end] = stack.pop();
+        const index = farthest(first, end, false);
+        if (index > 0)
+            stack.push([first, index], [index, end]);
+    }
+    return line.filter((p, i) => keep[i]);
+}
+
+/**
+ * Visvalingam-Whyatt simplification: removes the points forming
+ * the smallest triangles with their neighbours while the area
+ * is less than the threshold.
+ * @param {GeoJSON.Position[]} line
+ * @param {number} threshold min triangle area to keep
+ * @param {number} min number of points to keep, 4 for the rings
+ */
+function visvalingam(line, threshold, min) {
+    const n = line.length;
+    if (n <= min)
+        return line;
+    const prev = new Int32Array(n).map((v, i) => i - 1);
+    const next = new Int32Array(n).map((v, i) => i + 1);
+    const areas = new Float64Array(n).fill(Infinity);
+    const triangle = (i) => {
+        const a = line[prev[i]], b = line[i], c = line[next[i]];
+        return Math.abs((a[0] - c[0]) * (b[1] - a[1]) - (a[0] - b[0]) * (c[1] - a[1])) / 2;
+    };
+    /** @type {number[][]} binary min-heap of [area, index] */
+    const heap = [];
+    const less = (i, j) => heap[i][0] < heap[j][0];
+    const swap = (i, j) => {
+        [heap[i], heap[j]] = [heap[j], heap[i]];
+    };
+    const push = (index) => {
+        heap.push([areas[index], index]);
+        for (let i = heap.length - 1; i > 0 && less(i, (i - 1) >> 1); i = (i - 1) >> 1)
+            swap(i, (i - 1) >> 1);
+    };
+    const pop = () => {
+        const top = heap[0];
+        const end = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = end;
+            for (let i = 0; ;) {
+                const l = 2 * i + 1, r = l + 1;
+                let m = i;
+                if (l < heap.length && less(l, m))
+                    m = l;
+                if (r < heap.length && less(r, m))
+                    m = r;
+                if (m == i)
+                    break;
+                swap(i, m);
+                i = m;
+            }
+        }
+        return top;
+    };
+    for (let i = 1; i < n - 1; i++) {
+        areas[i] = triangle(i);
+        push(i);
+    }
+    const removed = new Uint8Array(n);
+    let count = n;
+    let last = 0;   // area of the last removed point
+    while (heap.length > 0 && count > min) {
+        const [area, i] = pop();
+        // the stale entries left in the heap are skipped
+        if (removed[i] || area != areas[i])
+            continue;
+        const a = Math.max(area, last);
+        if (a >= threshold)
+            break;
+        last = a;
+        removed[i] = 1;
+        count--;
+        next[prev[i]] = next[i];
+        prev[next[i]] = prev[i];
+        for (const j of [prev[i], next[i]]) {
+            if (j > 0 && j < n - 1) {
+                areas[j] = triangle(j);
+                push(j);
+            }
+        }
+    }
+    return line.filter((p, i) => !removed[i]);
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { antimeridian } from '../antimeridian.js';
+
+const line = (coordinates) => ({
+    type: 'Feature',
+    bbox: [Infinity, Infinity, -Infinity, -Infinity],
+    geometry: { type: 'LineString', coordinates }
+});
+
+test('the line crossing the antimeridian is split', () => {
+    const feature = antimeridian(line([[170, 10], [190, 20]]), 'split');
+    assert.deepEqual(feature.geometry, {
+        type: 'MultiLineString',
+        coordinates: [[[170, 10], [180, 15]], [[-180, 15], [-170, 20]]]
+    });
+    assert.deepEqual(feature.bbox, [170, 10, -170, 20]);
+});
+
+test('the line beyond the antimeridian is shifted', () => {
+    const feature = antimeridian(line([[185, 10], [190, 20]]), 'split');
+    assert.deepEqual(feature.geometry, { type: 'LineString', coordinates: [[-175, 10], [-170, 20]] });
+    assert.deepEqual(feature.bbox, [-175, 10, -170, 20]);
+});
+
+test('zero-length and empty lines are kept', () => {
+    const feature = antimeridian(line([[190, 10], [190, 10]]), 'split');
+    assert.deepEqual(feature.geometry, { type: 'LineString', coordinates: [[-170, 10], [-170, 10]] });
+    assert.deepEqual(feature.bbox, [-170, 10, -170, 10]);
+    const empty = antimeridian(line([]), 'split');
+    assert.deepEqual(empty.geometry, { type: 'LineString', coordinates: [] });
+});
+
+test('clamp mode', () => {
+    const feature = antimeridian(line([[190, 95], [0, 0]]), 'clamp');
+    assert.deepEqual(feature.geometry.coordinates, [[180, 90], [0, 0]]);
+});
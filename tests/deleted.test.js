@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { writeShapefile, openIndexed } from '../parser.js';
+
+const cli = new URL('../shp2json.js', import.meta.url).pathname;
+const deletedRows = [2, 5];
+
+/** Ten points, the DBF rows 2 and 5 marked deleted. */
+async function shapefile() {
+    const features = Array.from({ length: 10 },
+        (v, i) => ({ type: 'Feature', properties: { i }, geometry: { type: 'Point', coordinates: [i, i] } }));
+    const parts = await writeShapefile(features);
+    const bytes = {};
+    for (const ext of ['shp', 'shx', 'dbf'])
+        bytes[ext] = new Uint8Array(await new Response(parts[ext]).arrayBuffer());
+    const dbf = new DataView(bytes.dbf.buffer);
+    const hdrlen = dbf.getUint16(8, true), reclen = dbf.getUint16(10, true);
+    for (const row of deletedRows)
+        bytes.dbf[hdrlen + row * reclen] = 0x2a;
+    return bytes;
+}
+
+const bytes = await shapefile();
+const kept = [0, 1, 3, 4, 6, 7, 8, 9];
+const dir = mkdtempSync(join(tmpdir(), 'shp-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Runs shp2json.js with the NDJSON output.
+ * @returns {number[]} the property i of the features
+ */
+function run(input, ...args) {
+    const output = execFileSync(process.execPath, [cli, '-i', input, '-n', ...args],
+        { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+    return output.split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line).properties.i);
+}
+
+test('openIndexed skips the deleted records', async () => {
+    const indexed = await openIndexed(bytes);
+    const features = [];
+    for await (const feature of indexed.features())
+        features.push(feature.properties.i);
+    assert.deepEqual(features, kept);
+    assert.equal(await indexed.feature(2), null);
+    for (let position = 0; position < kept.length; position++)
+        assert.equal(await indexed.recordOf(position), kept[position]);
+    assert.equal(await indexed.recordOf(kept.length), 10);
+    const all = await openIndexed(bytes, { deleted: 'keep-with-flag' });
+    assert.equal(await all.recordOf(2), 2);
+});
+
+test('--start and --limit count the features, with or without the shx file', () => {
+    mkdirSync(join(dir, 'noshx'));
+    for (const ext of ['shp', 'shx', 'dbf']) {
+        writeFileSync(join(dir, `d.${ext}`), bytes[ext]);
+        if (ext != 'shx')
+            writeFileSync(join(dir, 'noshx', `d.${ext}`), bytes[ext]);
+    }
+    const cases = [
+        [['--limit', '3'], [0, 1, 3]],
+        [['--start', '2'], [3, 4, 6, 7, 8, 9]],
+        [['--start', '2', '--limit', '3'], [3, 4, 6]],
+        [['--start', '9'], []]
+    ];
+    for (const [args, expected] of cases) {
+        assert.deepEqual(run(join(dir, 'd'), ...args), expected, args.join(' '));
+        assert.deepEqual(run(join(dir, 'noshx', 'd'), ...args), expected, args.join(' '));
+    }
+});
+
+test('the skipped records are not read with the shx file', () => {
+    const broken = join(dir, 'broken');
+    mkdirSync(broken);
+    const shp = bytes.shp.slice();
+    new DataView(shp.buffer).setInt32(100 + 8, 99, true);     // the shape type of record 0
+    writeFileSync(join(broken, 'd.shp'), shp);
+    writeFileSync(join(broken, 'd.shx'), bytes.shx);
+    writeFileSync(join(broken, 'd.dbf'), bytes.dbf);
+    assert.deepEqual(run(join(broken, 'd'), '--start', '1', '--limit', '2'), [1, 3]);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VectorTile } from '@mapbox/vector-tile';
+import { PbfReader } from 'pbf';
+import { PMTiles } from 'pmtiles';
+import { vectorTiles, writePMTiles } from '../parser.js';
+
+const features = [{
+    type: 'Feature',
+    id: 7,
+    properties: { name: 'square', n: 3, f: 1.5, ok: true, day: new Date(0), none: null },
+    geometry: { type: 'Polygon', coordinates: [
+        [[-10, -10], [10, -10], [10, 10], [-10, 10], [-10, -10]],
+        [[-5, -5], [-5, 5], [5, 5], [5, -5], [-5, -5]]] }
+}, {
+    type: 'Feature',
+    properties: { name: 'line' },
+    geometry: { type: 'LineString', coordinates: [[-170, 60], [0, 0], [170, -60]] }
+}, {
+    type: 'Feature',
+    properties: { name: 'points' },
+    geometry: { type: 'MultiPoint', coordinates: [[1, 1], [100, 40]] }
+}];
+
+async function collect(tiles) {
+    const result = [];
+    for await (const tile of tiles)
+        result.push(tile);
+    return result;
+}
+
+/** Compares the nested coordinates within the tolerance in degrees. */
+function assertNear(actual, expected, tolerance) {
+    if (typeof expected == 'number') {
+        assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not near ${expected}`);
+        return;
+    }
+    assert.equal(actual.length, expected.length);
+    expected.forEach((e, i) => assertNear(actual[i], e, tolerance));
+}
+
+test('the tiles decode to the features', async () => {
+    const tiles = vectorTiles(features, { name: 'test', minzoom: 0, maxzoom: 2 });
+    const all = await collect(tiles);
+    assert.deepEqual(all.filter(t => t.z == 0).map(t => [t.x, t.y]), [[0, 0]]);
+    const layer = new VectorTile(new PbfReader(all.find(t => t.z == 0).data)).layers.test;
+    assert.equal(layer.version, 2);
+    assert.equal(layer.extent, 4096);
+    assert.equal(layer.length, 3);
+    const decoded = Array.from({ length: layer.length }, (v, i) => layer.feature(i).toGeoJSON(0, 0, 0));
+    assert.equal(decoded[0].id, 7);
+    assert.deepEqual({ ...decoded[0].properties },
+        { name: 'square', n: 3, f: 1.5, ok: true, day: '1970-01-01T00:00:00.000Z' });
+    // the hole stays a hole: the rings are wound as the spec requires
+    assert.equal(decoded[0].geometry.type, 'Polygon');
+    assert.deepEqual(decoded[0].geometry.coordinates.map(ring => ring.length), [5, 5]);
+    const extent = (ring) => [Math.min(...ring.map(p => p[0])), Math.max(...ring.map(p => p[1]))];
+    assertNear(decoded[0].geometry.coordinates.map(extent), [[-10, 10], [-5, 5]], 0.1);
+    assert.equal(decoded[1].geometry.type, 'LineString');
+    assertNear(decoded[1].geometry.coordinates, [[-170, 60], [170, -60]], 0.1);
+    assert.equal(decoded[2].geometry.type, 'MultiPoint');
+    assertNear(decoded[2].geometry.coordinates, [[1, 1], [100, 40]], 0.1);
+    assert.deepEqual(tiles.metadata.bounds, [-170, -60, 170, 60]);
+    assert.deepEqual(tiles.metadata.vector_layers[0].fields,
+        { name: 'String', n: 'Number', f: 'Number', ok: 'Boolean', day: 'String' });
+});
+
+test('the PMTiles archive serves the tiles', async () => {
+    const tiles = vectorTiles(features, { minzoom: 0, maxzoom: 3 });
+    const all = await collect(tiles);
+    const bytes = new Uint8Array(await new Response(writePMTiles(all, tiles.metadata)).arrayBuffer());
+    const archive = new PMTiles({
+        getKey: () => 'test',
+        getBytes: async (offset, length) => ({ data: bytes.slice(offset, offset + length).buffer })
+    });
+    const header = await archive.getHeader();
+    assert.equal(header.minZoom, 0);
+    assert.equal(header.maxZoom, 3);
+    assert.deepEqual([header.minLon, header.minLat, header.maxLon, header.maxLat], [-170, -60, 170, 60]);
+    assert.equal(header.numAddressedTiles, all.length);
+    for (const tile of all) {
+        const entry = await archive.getZxy(tile.z, tile.x, tile.y);
+        assert.deepEqual(new Uint8Array(entry.data), tile.data, `${tile.z}/${tile.x}/${tile.y}`);
+    }
+    assert.equal(await archive.getZxy(3, 0, 7), undefined);
+    assert.deepEqual(await archive.getMetadata(), JSON.parse(JSON.stringify(tiles.metadata)));
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimplifyTransform } from '../parser.js';
+
+async function simplify(geometry, tolerance, options) {
+    const result = [];
+    const features = ReadableStream.from([{ type: 'Feature', properties: {}, geometry }]);
+    for await (const feature of features.pipeThrough(SimplifyTransform(tolerance, options)))
+        result.push(feature);
+    return result[0].geometry.coordinates;
+}
+
+test('Douglas-Peucker and Visvalingam', async () => {
+    const line = [[0, 0], [1, 0.1], [2, 0], [3, 5], [4, 0]];
+    assert.deepEqual(await simplify({ type: 'LineString', coordinates: line }, 0.5),
+        [[0, 0], [2, 0], [3, 5], [4, 0]]);
+    assert.deepEqual(await simplify({ type: 'LineString', coordinates: line }, 0.5, { method: 'visvalingam' }),
+        [[0, 0], [2, 0], [3, 5], [4, 0]]);
+});
+
+test('the rings do not collapse', async () => {
+    const ring = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+    for (const method of ['douglas-peucker', 'visvalingam']) {
+        const [simplified] = await simplify({ type: 'Polygon', coordinates: [ring] }, 10, { method });
+        assert.equal(simplified.length, 4, method);
+        assert.deepEqual(simplified.at(-1), simplified[0], method);
+    }
+});
+
+test('the simplified shell does not cross the hole', async () => {
+    // the simplified hole loses its dent around the spike of the shell
+    const shell = [[0, 0], [10, 0], [10, 10], [5.2, 10], [5, 6], [4.8, 10], [0, 10], [0, 0]];
+    const hole = [[2, 2], [2, 8], [4.5, 8], [5, 5.5], [5.5, 8], [8, 8], [8, 2], [2, 2]];
+    assert.deepEqual(await simplify({ type: 'Polygon', coordinates: [shell, hole] }, 3), [shell, hole]);
+});
+
+test('the tolerance in the source units', async () => {
+    // about 11 m off the line in Web Mercator, 0.0001 degree
+    const line = [[0, 0], [1, 0.0001], [2, 0]].map(p => [p[0] * 111319.49, p[1] * 111325.14]);
+    const options = { units: 'source', target: 'EPSG:3857' };
+    assert.equal((await simplify({ type: 'LineString', coordinates: line }, 0.001, options)).length, 2);
+    assert.equal((await simplify({ type: 'LineString', coordinates: line }, 0.00001, options)).length, 3);
+    assert.equal((await simplify({ type: 'LineString', coordinates: line }, 0.001)).length, 3);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeShapefile, SHPTransform, DBFTransform, stitch } from '../parser.js';
+
+/**
+ * Writes the features and reads them back.
+ * @param {GeoJSON.Feature[]} features
+ */
+async function roundTrip(features) {
+    const parts = await writeShapefile(features);
+    const encoding = await new Response(parts.cpg).text();
+    const shp = parts.shp.pipeThrough(SHPTransform());
+    const dbf = parts.dbf.pipeThrough(DBFTransform(encoding));
+    const result = [];
+    for await (const feature of stitch(shp, dbf))
+        result.push(feature);
+    return result;
+}
+
+/** The properties without the hidden members. */
+const plain = (feature) => Object.fromEntries(Object.entries(feature.properties));
+
+test('polygons and their attributes', async () => {
+    const features = [{
+        type: 'Feature',
+        properties: { name: 'Zürich', n: 42, f: 1.25, ok: true, day: new Date(2024, 0, 15), iso: '2024-12-31' },
+        geometry: { type: 'Polygon', coordinates: [
+            [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+            [[2, 2], [2, 8], [8, 8], [8, 2], [2, 2]]] }
+    }, {
+        type: 'Feature',
+        properties: { name: 'b', n: -7, f: 0.5, ok: false, day: null, iso: null },
+        geometry: { type: 'MultiPolygon', coordinates: [
+            [[[20, 0], [30, 0], [30, 10], [20, 0]]],
+            [[[40, 0], [50, 0], [50, 10], [40, 0]]]] }
+    }];
+    const result = await roundTrip(features);
+    assert.deepEqual(result.map(f => f.geometry), features.map(f => f.geometry));
+    assert.deepEqual(result.map(f => f.bbox), [[0, 0, 10, 10], [20, 0, 50, 10]]);
+    assert.deepEqual(plain(result[0]),
+        { name: 'Zürich', n: 42, f: 1.25, ok: true, day: '20240115', iso: '20241231' });
+    assert.deepEqual(plain(result[1]), { name: 'b', n: -7, f: 0.5, ok: false, day: '', iso: '' });
+});
+
+test('lines with Z', async () => {
+    const features = [{
+        type: 'Feature',
+        properties: { id: 1, name: 'the first line' },
+        geometry: { type: 'LineString', coordinates: [[0, 0, 5], [1, 1, 6]] }
+    }, {
+        type: 'Feature',
+        properties: { id: 2, name: 'the second line' },
+        geometry: { type: 'MultiLineString', coordinates: [[[0, 0, 1], [1, 1, 2]], [[2, 2, 3], [3, 3, 4]]] }
+    }];
+    const result = await roundTrip(features);
+    assert.deepEqual(result.map(f => f.geometry), features.map(f => f.geometry));
+    assert.deepEqual(result.map(plain), features.map(f => f.properties));
+});
+
+test('mixed geometry types are rejected', async () => {
+    await assert.rejects(writeShapefile([
+        { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } },
+        { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } }
+    ]), TypeError);
+});
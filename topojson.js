@@ -0,0 +1,433 @@
+import { simplifier } from './simplify.js';
+
+const defaultMaxPositions = 10000000;
+
+/**
+ * Collects the features and encodes them as a TopoJSON Topology:
+ * the lines and the polygon rings are cut at the junctions into arcs,
+ * the arcs shared by the neighbours are stored once.
+ * All the positions are buffered, about 150 bytes each at the peak,
+ * so their number is limited.
+ * @param {AsyncIterable<GeoJSON.Feature> | Iterable<GeoJSON.Feature>} features
+ * @param {object} [options]
+ * @param {string} [options.name] of the GeometryCollection in the objects, 'features' by default.
+ * @param {number} [options.quantization] Number of the distinct values on each axis,
+ *  like 1e5. The positions are converted to integers and the arcs are delta-encoded.
+ * @param {number} [options.tolerance] Simplify the arcs, see SimplifyTransform.
+ *  The shared arcs are simplified once, so the neighbours stay seamless.
+ * @param {string} [options.method] of the simplification, see SimplifyTransform.
+ * @param {string} [options.units] of the tolerance, see SimplifyTransform.
+ * @param {string} [options.prjwkt] see SimplifyTransform.
+ * @param {string} [options.target] see SimplifyTransform.
+ * @param {number} [options.maxPositions] Max number of positions buffered,
+ *  10 million by default.
+ * @returns {Promise<object>} the Topology
+ */
+export async function toTopology(features, options = {}) {
+    if (!features || !(Symbol.asyncIterator in features || Symbol.iterator in features))
+        throw new TypeError('toTopology: first arg: iterable expected.');
+    if (!options || typeof options != 'object')
+        throw new TypeError('toTopology: second arg: object expected.');
+    const { name = 'features', quantization, tolerance, maxPositions = defaultMaxPositions } = options;
+    if (typeof name != 'string')
+        throw new TypeError('toTopology: name: string expected.');
+    if (quantization != null && !(Number.isInteger(quantization) && quantization >= 2))
+        throw new TypeError('toTopology: quantization: integer greater than 1 expected.');
+    if (tolerance != null && !(typeof tolerance == 'number' && tolerance >= 0))
+        throw new TypeError('toTopology: tolerance: non-negative number expected.');
+    const simplify = simplifier(tolerance, options, 'toTopology');
+    if (!Number.isInteger(maxPositions) || maxPositions < 1)
+        throw new TypeError('toTopology: maxPositions: positive integer expected.');
+    //
+    const store = positionStore(maxPositions);
+    const geometries = [];
+    for await (const feature of features) {
+        const object = feature.geometry ? geometryObject(feature.geometry, store) : { type: null };
+        if (feature.id != null)
+            object.id = feature.id;
+        if (feature.properties)
+            object.properties = feature.properties;
+        geometries.push(object);
+    }
+    const flags = junctions(store);
+    const { arcs, lineArcs } = cutArcs(store, flags);
+    let coordinates = arcs.map(([start, end]) => store.positions(start, end));
+    if (tolerance != null && tolerance > 0)
+        coordinates = simplifyArcs(coordinates, store, lineArcs, simplify);
+    for (const object of geometries)
+        resolveArcs(object, lineArcs);
+
+    const [x0, y0, x1, y1] = store.bbox;
+    const topology = { type: 'Topology' };
+    if (store.count > 0)
+        topology.bbox = store.bbox;
+    if (quantization) {
+        const kx = x1 > x0 ? (x1 - x0) / (quantization - 1) : 1;
+        const ky = y1 > y0 ? (y1 - y0) / (quantization - 1) : 1;
+        const translate = store.count > 0 ? [x0, y0] : [0, 0];
+        topology.transform = { scale: [kx, ky], translate };
+        /** @param {number[]} p */
+        const quantize = (p) => [Math.round((p[0] - translate[0]) / kx), Math.round((p[1] - translate[1]) / ky)];
+        for (const object of geometries)
+            quantizePoints(object, quantize);
+        coordinates = coordinates.map(arc => deltaEncode(arc, quantize));
+    }
+    topology.objects = { [name]: { type: 'GeometryCollection', geometries } };
+    topology.arcs = coordinates;
+    return topology;
+}
+
+/**
+ * Returns the growing buffer of the x and y of the positions of the lines
+ * and the rings, and of their ranges.
+ * @param {number} max number of positions
+ */
+function positionStore(max) {
+    let xy = new Float64Array(2 * 4096);
+    const starts = [];
+    const ends = [];
+    const rings = [];
+    return {
+        /** number of positions */
+        count: 0,
+        /** of the positions of the lines and the points */
+        bbox: [Infinity, Infinity, -Infinity, -Infinity],
+        get xy() {
+            return xy;
+        },
+        starts, ends, rings,
+        /** @param {GeoJSON.Position} p */
+        extend(p) {
+            const bbox = this.bbox;
+            bbox[0] = Math.min(bbox[0], p[0]);
+            bbox[1] = Math.min(bbox[1], p[1]);
+            bbox[2] = Math.max(bbox[2], p[0]);
+            bbox[3] = Math.max(bbox[3], p[1]);
+        },
+        /**
+         * Adds the line without the repeated points, returns its number.
+         * @param {GeoJSON.Position[]} line
+         * @param {boolean} ring
+         */
+        add(line, ring) {
+            if (this.count + line.length > max)
+                throw new TypeError(`toTopology: more than ${max} positions, see the option maxPositions.`);
+            if (2 * (this.count + line.length) > xy.length) {
+                const grown = new Float64Array(Math.max(2 * xy.length, 2 * (this.count + line.length)));
+                grown.set(xy);
+                xy = grown;
+            }
+            const start = this.count;
+            let n = start;
+            for (const p of line) {
+                // -0 would not be equal to 0 in the hash
+                const x = p[0] + 0, y = p[1] + 0;
+                if (n > start && xy[2 * n - 2] == x && xy[2 * n - 1] == y)
+                    continue;
+                xy[2 * n] = x;
+                xy[2 * n + 1] = y;
+                this.extend(p);
+                n++;
+            }
+            this.count = n;
+            starts.push(start);
+            ends.push(n);
+            rings.push(ring && n - start >= 4);
+            return starts.length - 1;
+        },
+        /**
+         * The positions from start to end inclusive.
+         * @param {number} start
+         * @param {number} end
+         */
+        positions(start, end) {
+            const result = Array(end - start + 1);
+            for (let i = start; i <= end; i++)
+                result[i - start] = [xy[2 * i], xy[2 * i + 1]];
+            return result;
+        }
+    };
+}
+
+/**
+ * Converts the geometry into the TopoJSON geometry object,
+ * the arcs being the numbers of the lines in the store for now.
+ * @param {GeoJSON.Geometry} geometry
+ * @param {ReturnType<typeof positionStore>} store
+ * @returns {object}
+ */
+function geometryObject(geometry, store) {
+    const c = geometry.coordinates;
+    const point = (p) => {
+        store.extend(p);
+        return [p[0], p[1]];
+    };
+    const rings = (polygon) => polygon.map(ring => store.add(ring, true));
+    switch (geometry.type) {
+        case 'Point':
+            return { type: 'Point', coordinates: point(c) };
+        case 'MultiPoint':
+            return { type: 'MultiPoint', coordinates: c.map(point) };
+        case 'LineString':
+            return { type: 'LineString', arcs: store.add(c, false) };
+        case 'MultiLineString':
+            return { type: 'MultiLineString', arcs: c.map(line => store.add(line, false)) };
+        case 'Polygon':
+            return { type: 'Polygon', arcs: rings(c) };
+        case 'MultiPolygon':
+            return { type: 'MultiPolygon', arcs: c.map(rings) };
+        case 'GeometryCollection':
+            return { type: 'GeometryCollection', geometries: geometry.geometries.map(g => geometryObject(g, store)) };
+        default:
+            throw new TypeError(`toTopology: geometry type ${geometry.type} unknown.`);
+    }
+}
+
+/**
+ * Finds the junctions: the ends of the lines and the positions
+ * where the lines meeting there have different neighbours.
+ * @param {ReturnType<typeof positionStore>} store
+ * @returns {Uint8Array} 1 for the positions at the junctions
+ */
+function junctions(store) {
+    const { xy, starts, ends, rings, count } = store;
+    let capacity = 1024;
+    while (capacity < 2 * count)
+        capacity *= 2;
+    const mask = capacity - 1;
+    // open addressing by the coordinates, the first position seen is the key
+    const keys = new Int32Array(capacity).fill(-1);
+    const prevs = new Int32Array(capacity);
+    const nexts = new Int32Array(capacity);
+    const junction = new Uint8Array(capacity);
+    const slots = new Int32Array(count);
+    const f64 = new Float64Array(1);
+    const u32 = new Uint32Array(f64.buffer);
+    /** @param {number} p */
+    const hash = (p) => {
+        f64[0] = xy[2 * p];
+        let h = Math.imul(u32[0] ^ u32[1], 0x9e3779b1);
+        f64[0] = xy[2 * p + 1];
+        h = Math.imul(h ^ u32[0] ^ (u32[1] << 7), 0x85ebca6b);
+        return (h ^ (h >>> 15)) & mask;
+    };
+    /** Are the positions equal, -1 meaning no position. */
+    const equal = (a, b) => a < 0 || b < 0 ? a == b : xy[2 * a] == xy[2 * b] && xy[2 * a + 1] == xy[2 * b + 1];
+    const visit = (p, prev, next) => {
+        let slot = hash(p);
+        while (keys[slot] >= 0 && !equal(keys[slot], p))
+            slot = (slot + 1) & mask;
+        slots[p] = slot;
+        if (keys[slot] < 0) {
+            keys[slot] = p;
+            prevs[slot] = prev;
+            nexts[slot] = next;
+            junction[slot] = prev < 0 || next < 0 ? 1 : 0;
+        } else if (!junction[slot]) {
+            const a = prevs[slot], b = nexts[slot];
+            if (!(equal(a, prev) && equal(b, next) || equal(a, next) && equal(b, prev)))
+                junction[slot] = 1;
+        }
+    };
+    for (let i = 0; i < starts.length; i++) {
+        const start = starts[i], end = ends[i];
+        if (rings[i]) {
+            // the last position repeats the first one
+            const m = end - start - 1;
+            for (let k = 0; k < m; k++)
+                visit(start + k, start + (k + m - 1) % m, start + (k + 1) % m);
+            slots[end - 1] = slots[start];
+        } else {
+            for (let p = start; p < end; p++)
+                visit(p, p > start ? p - 1 : -1, p < end - 1 ? p + 1 : -1);
+        }
+    }
+    const flags = new Uint8Array(count);
+    for (let p = 0; p < count; p++)
+        flags[p] = junction[slots[p]];
+    return flags;
+}
+
+/**
+ * Cuts the lines at the junctions into arcs and merges the equal arcs.
+ * The rings are rotated to start at a junction, the rings without
+ * junctions at their least position, so the equal ones match.
+ * @param {ReturnType<typeof positionStore>} store
+ * @param {Uint8Array} flags see junctions
+ * @returns {{arcs: number[][], lineArcs: number[][]}} the ranges of the positions
+ *  of the arcs, the arc numbers of each line, negative (~n) for the reversed arcs
+ */
+function cutArcs(store, flags) {
+    const { xy, starts, ends, rings } = store;
+    /** @type {number[][]} */
+    const arcs = [];
+    /** @type {Map<string, number[]>} arcs by their ends */
+    const byEnds = new Map();
+    const same = (a, b) => xy[2 * a] == xy[2 * b] && xy[2 * a + 1] == xy[2 * b + 1];
+    const less = (a, b) => xy[2 * a] < xy[2 * b] || xy[2 * a] == xy[2 * b] && xy[2 * a + 1] < xy[2 * b + 1];
+    /** Returns the number of the arc, reusing the equal one. */
+    const arc = (start, end) => {
+        const [a, b] = less(end, start) ? [end, start] : [start, end];
+        const key = `${xy[2 * a]},${xy[2 * a + 1]},${xy[2 * b]},${xy[2 * b + 1]}`;
+        const candidates = byEnds.get(key) ?? [];
+        const n = end - start;
+        for (const i of candidates) {
+            const [s, e] = arcs[i];
+            if (e - s != n)
+                continue;
+            let k = 0;
+            while (k <= n && same(s + k, start + k))
+                k++;
+            if (k > n)
+                return i;
+            k = 0;
+            while (k <= n && same(e - k, start + k))
+                k++;
+            if (k > n)
+                return ~i;
+        }
+        candidates.push(arcs.length);
+        byEnds.set(key, candidates);
+        arcs.push([start, end]);
+        return arcs.length - 1;
+    };
+    /** Rotates the ring in place to start at the offset. */
+    const rotate = (start, end, offset) => {
+        const m = end - start - 1;
+        if (offset == 0)
+            return;
+        const copy = xy.slice(2 * start, 2 * (start + m));
+        const fcopy = flags.slice(start, start + m);
+        for (let k = 0; k < m; k++) {
+            const from = (k + offset) % m;
+            xy[2 * (start + k)] = copy[2 * from];
+            xy[2 * (start + k) + 1] = copy[2 * from + 1];
+            flags[start + k] = fcopy[from];
+        }
+        xy[2 * (end - 1)] = xy[2 * start];
+        xy[2 * (end - 1) + 1] = xy[2 * start + 1];
+        flags[end - 1] = flags[start];
+    };
+    const lineArcs = Array(starts.length);
+    for (let i = 0; i < starts.length; i++) {
+        const start = starts[i], end = ends[i];
+        if (end - start < 2) {
+            lineArcs[i] = end > start ? [arc(start, start)] : [];
+            continue;
+        }
+        if (rings[i]) {
+            let first = -1;
+            let least = start;
+            for (let p = start; p < end - 1 && first < 0; p++) {
+                if (flags[p])
+                    first = p;
+                else if (less(p, least))
+                    least = p;
+            }
+            rotate(start, end, (first >= 0 ? first : least) - start);
+        }
+        const list = [];
+        let from = start;
+        for (let p = start + 1; p < end; p++) {
+            if (flags[p] || p == end - 1) {
+                list.push(arc(from, p));
+                from = p;
+            }
+        }
+        lineArcs[i] = list;
+    }
+    return { arcs, lineArcs };
+}
+
+/**
+ * Simplifies the arcs. A ring left with less than four positions
+ * gets its arcs back as they were.
+ * @param {number[][][]} coordinates of the arcs
+ * @param {ReturnType<typeof positionStore>} store
+ * @param {number[][]} lineArcs
+ * @param {(line: GeoJSON.Position[], min: number) => GeoJSON.Position[]} simplify
+ */
+function simplifyArcs(coordinates, store, lineArcs, simplify) {
+    const simplified = coordinates.map(arc => {
+        const closed = arc.length > 1 && arc[0][0] == arc[arc.length - 1][0] && arc[0][1] == arc[arc.length - 1][1];
+        return simplify(arc, closed ? 4 : 2);
+    });
+    const length = (list) => list.reduce((sum, a) => sum + simplified[a < 0 ? ~a : a].length - 1, 1);
+    for (let changed = true; changed;) {
+        changed = false;
+        for (let i = 0; i < lineArcs.length; i++) {
+            if (!store.rings[i] || length(lineArcs[i]) >= 4)
+                continue;
+            for (const a of lineArcs[i]) {
+                const n = a < 0 ? ~a : a;
+                if (simplified[n] != coordinates[n]) {
+                    simplified[n] = coordinates[n];
+                    changed = true;
+                }
+            }
+        }
+    }
+    return simplified;
+}
+
+/**
+ * Replaces the line numbers of the geometry object by their arcs.
+ * @param {object} object
+ * @param {number[][]} lineArcs
+ */
+function resolveArcs(object, lineArcs) {
+    switch (object.type) {
+        case 'LineString':
+            object.arcs = lineArcs[object.arcs];
+            break;
+        case 'MultiLineString':
+        case 'Polygon':
+            object.arcs = object.arcs.map(n => lineArcs[n]);
+            break;
+        case 'MultiPolygon':
+            object.arcs = object.arcs.map(polygon => polygon.map(n => lineArcs[n]));
+            break;
+        case 'GeometryCollection':
+            for (const g of object.geometries)
+                resolveArcs(g, lineArcs);
+            break;
+    }
+}
+
+/**
+ * Quantizes the positions of the points in place.
+ * @param {object} object
+ * @param {(p: number[]) => number[]} quantize
+ */
+function quantizePoints(object, quantize) {
+    if (object.type == 'Point')
+        object.coordinates = quantize(object.coordinates);
+    else if (object.type == 'MultiPoint')
+        object.coordinates = object.coordinates.map(quantize);
+    else if (object.type == 'GeometryCollection') {
+        for (const g of object.geometries)
+            quantizePoints(g, quantize);
+    }
+}
+
+/**
+ * Quantizes the arc and encodes each position as the difference from the previous one.
+ * The repeated positions are removed, but the arc keeps at least two.
+ * @param {number[][]} arc
+ * @param {(p: number[]) => number[]} quantize
+ */
+function deltaEncode(arc, quantize) {
+    const result = [];
+    let x = 0, y = 0;
+    for (const p of arc) {
+        const [qx, qy] = quantize(p);
+        if (result.length > 0 && qx == x && qy == y)
+            continue;
+        result.push([qx - x, qy - y]);
+        x = qx;
+        y = qy;
+    }
+    if (result.length == 1)
+        result.push([0, 0]);
+    return result;
+}
@@ -0,0 +1,214 @@
+import { epsgCode } from './common.js';
+
+/** The WKT tags and the WKB codes of the geometry types. */
+const types = {
+    Point: ['POINT', 1],
+    LineString: ['LINESTRING', 2],
+    Polygon: ['POLYGON', 3],
+    MultiPoint: ['MULTIPOINT', 4],
+    MultiLineString: ['MULTILINESTRING', 5],
+    MultiPolygon: ['MULTIPOLYGON', 6],
+    GeometryCollection: ['GEOMETRYCOLLECTION', 7]
+};
+
+/**
+ * Returns the Well-Known Text of the geometry, with the ISO 'Z', 'M'
+ * or 'ZM' tag when the positions have more than two coordinates.
+ * With the SRID it is the PostGIS Extended WKT: 'SRID=n;' followed by the WKT.
+ * @param {GeoJSON.Geometry | null} geometry
+ * @param {object} [options]
+ * @param {boolean} [options.withM] The last of three coordinates is 'M', not 'Z'.
+ * @param {number | string} [options.srid] The SRID, or 'EPSG:n' or the WKT
+ *  of the coordinate system to identify it from; omitted if not identified.
+ * @returns {string | null} null for the null geometry
+ */
+export function toWKT(geometry, options = {}) {
+    const { dims, srid } = encoding(geometry, options, 'toWKT');
+    if (!geometry)
+        return null;
+    const tag = dims == 4 ? ' ZM' : dims == 3 ? (options.withM ? ' M' : ' Z') : '';
+    /** @param {GeoJSON.Position} p */
+    const position = (p) => {
+        let s = `${p[0]} ${p[1]}`;
+        for (let i = 2; i < dims; i++)
+            s += ` ${p[i] ?? 0}`;
+        return s;
+    };
+    const list = (items, text) => items.length == 0 ? ' EMPTY' : ` (${items.map(text).join(', ')})`;
+    const line = (l) => list(l, position).slice(1);
+    const polygon = (rings) => list(rings, line).slice(1);
+    /** @param {GeoJSON.Geometry} g */
+    const text = (g) => {
+        const c = g.coordinates;
+        let body;
+        switch (g.type) {
+            case 'Point':
+                body = c.length == 0 ? ' EMPTY' : ` (${position(c)})`;
+                break;
+            case 'LineString':
+            case 'MultiPoint':
+                body = list(c, position);
+                break;
+            case 'Polygon':
+            case 'MultiLineString':
+                body = list(c, line);
+                break;
+            case 'MultiPolygon':
+                body = list(c, polygon);
+                break;
+            case 'GeometryCollection':
+                body = list(g.geometries, text);
+                break;
+        }
+        return types[g.type][0] + tag + body;
+    };
+    return (srid != null ? `SRID=${srid};` : '') + text(geometry);
+}
+
+/**
+ * Returns the little-endian Well-Known Binary of the geometry. It is ISO WKB,
+ * with the type codes incremented by 1000 for 'Z', 2000 for 'M' and 3000 for 'ZM',
+ * or, with the SRID, the PostGIS Extended WKB, with the flags 0x80000000 for 'Z',
+ * 0x40000000 for 'M' and 0x20000000 for the SRID following the type.
+ * @param {GeoJSON.Geometry | null} geometry
+ * @param {object} [options] see toWKT.
+ * @returns {Uint8Array | null} null for the null geometry
+ */
+export function toWKB(geometry, options = {}) {
+    const { dims, srid } = encoding(geometry, options, 'toWKB');
+    if (!geometry)
+        return null;
+    const hasZ = dims == 4 || (dims == 3 && !options.withM);
+    const hasM = dims == 4 || (dims == 3 && !!options.withM);
+    const extended = srid != null;
+    const code = (type) => extended
+        ? types[type][1] | (hasZ ? 0x80000000 : 0) | (hasM ? 0x40000000 : 0)
+        : types[type][1] + (hasZ ? 1000 : 0) + (hasM ? 2000 : 0);
+    /** @param {GeoJSON.Geometry} g */
+    const size = (g) => {
+        const c = g.coordinates;
+        switch (g.type) {
+            case 'Point':
+                return 5 + 8 * dims;
+            case 'LineString':
+                return 9 + 8 * dims * c.length;
+            case 'Polygon':
+                return 9 + c.reduce((n, r) => n + 4 + 8 * dims * r.length, 0);
+            case 'MultiPoint':
+                return 9 + c.length * (5 + 8 * dims);
+            case 'MultiLineString':
+                return 9 + c.reduce((n, l) => n + size({ type: 'LineString', coordinates: l }), 0);
+            case 'MultiPolygon':
+                return 9 + c.reduce((n, rs) => n + size({ type: 'Polygon', coordinates: rs }), 0);
+            case 'GeometryCollection':
+                return 9 + g.geometries.reduce((n, g) => n + size(g), 0);
+        }
+    };
+    const bytes = new Uint8Array(size(geometry) + (extended ? 4 : 0));
+    const dv = new DataView(bytes.buffer);
+    let pos = 0;
+    const uint32 = (v) => {
+        dv.setUint32(pos, v >>> 0, true);
+        pos += 4;
+    };
+    /** @param {GeoJSON.Position} p */
+    const position = (p) => {
+        for (let i = 0; i < dims; i++) {
+            // the empty point has NaN coordinates
+            dv.setFloat64(pos, p.length == 0 ? NaN : p[i] ?? 0, true);
+            pos += 8;
+        }
+    };
+    const line = (l) => {
+        uint32(l.length);
+        l.forEach(position);
+    };
+    const header = (type, withSrid = false) => {
+        bytes[pos++] = 1;   // little-endian
+        uint32(code(type) | (withSrid ? 0x20000000 : 0));
+        if (withSrid)
+            uint32(srid);
+    };
+    /** @param {GeoJSON.Geometry} g */
+    const write = (g, top = false) => {
+        const c = g.coordinates;
+        header(g.type, top && extended);
+        switch (g.type) {
+            case 'Point':
+                position(c);
+                break;
+            case 'LineString':
+                line(c);
+                break;
+            case 'Polygon':
+                uint32(c.length);
+                c.forEach(line);
+                break;
+            case 'MultiPoint':
+                uint32(c.length);
+                c.forEach(p => write({ type: 'Point', coordinates: p }));
+                break;
+            case 'MultiLineString':
+                uint32(c.length);
+                c.forEach(l => write({ type: 'LineString', coordinates: l }));
+                break;
+            case 'MultiPolygon':
+                uint32(c.length);
+                c.forEach(rs => write({ type: 'Polygon', coordinates: rs }));
+                break;
+            case 'GeometryCollection':
+                uint32(g.geometries.length);
+                g.geometries.forEach(g => write(g));
+                break;
+        }
+    };
+    write(geometry, true);
+    return bytes;
+}
+
+/**
+ * Checks the arguments, finds the number of the coordinates
+ * (the max one, up to 4) and the SRID.
+ * @param {GeoJSON.Geometry | null} geometry
+ * @param {object} options
+ * @param {string} name of the function for the messages
+ * @returns {{dims: number, srid: number | null}}
+ */
+function encoding(geometry, options, name) {
+    if (geometry != null && !(typeof geometry == 'object' && geometry.type in types))
+        throw new TypeError(`${name}: first arg: GeoJSON geometry expected.`);
+    if (!options || typeof options != 'object')
+        throw new TypeError(`${name}: second arg: object expected.`);
+    let srid = options.srid ?? null;
+    if (typeof srid == 'string')
+        srid = epsgCode(srid);
+    else if (srid != null && !(Number.isInteger(srid) && srid >= 0 && srid <= 0x7fffffff))
+        throw new TypeError(`${name}: srid: non-negative integer or string expected.`);
+    let dims = 2;
+    /** @param {GeoJSON.Geometry} g */
+    const scan = (g) => {
+        if (g.type == 'GeometryCollection') {
+            if (!Array.isArray(g.geometries))
+                throw new TypeError(`${name}: GeometryCollection without geometries.`);
+            for (const member of g.geometries) {
+                if (!(member && member.type in types))
+                    throw new TypeError(`${name}: GeoJSON geometry expected in GeometryCollection.`);
+                scan(member);
+            }
+            return;
+        }
+        if (!Array.isArray(g.coordinates))
+            throw new TypeError(`${name}: ${g.type} without coordinates.`);
+        const depth = { Point: 0, LineString: 1, MultiPoint: 1, Polygon: 2, MultiLineString: 2, MultiPolygon: 3 };
+        const visit = (c, d) => {
+            if (d == 0)
+                dims = Math.max(dims, Math.min(4, c.length));
+            else
+                c.forEach(item => visit(item, d - 1));
+        };
+        visit(g.coordinates, depth[g.type]);
+    };
+    if (geometry)
+        scan(geometry);
+    return { dims, srid };
+}
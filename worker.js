@@ -0,0 +1,31 @@
+// The worker decoding the batches of records for openIndexed,
+// in Node worker_threads or as a Web Worker, see pool.js.
+
+import { projector } from './common.js';
+import { decodeBatch } from './indexed.js';
+
+const port = typeof self == 'undefined' ? (await import('node:worker_threads')).parentPort : self;
+let context = null;
+
+/**
+ * The first message contains the settings, the others the batches.
+ * @param {any} data
+ */
+function receive(data) {
+    if (data.init) {
+        const { prjwkt, target, encoding, ...rest } = data.init;
+        context = { ...rest, project: projector(prjwkt, target), decoder: new TextDecoder(encoding) };
+        return;
+    }
+    try {
+        const features = decodeBatch(data.bytes, data.offsets, data.rows, data.start, context);
+        port.postMessage({ features });
+    } catch (err) {
+        port.postMessage({ error: err.message });
+    }
+}
+
+if (typeof self == 'undefined')
+    port.on('message', receive);
+else
+    port.onmessage = (event) => receive(event.data);
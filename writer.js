@@ -0,0 +1,570 @@
+/**
+ * Shape types by geometry family, Z and M variants are
+ * obtained by adding 10 and 20 respectively.
+ */
+const families = {
+    Point: 1,
+    MultiPoint: 8,
+    LineString: 3,
+    MultiLineString: 3,
+    Polygon: 5,
+    MultiPolygon: 5
+};
+
+const chunkSize = 65536;
+
+/**
+ * Collects the features and returns ReadableStreams of bytes
+ * of the shapefile parts: SHP, SHX, DBF, and optionally PRJ.
+ * The DBF schema and the shape type are inferred from the features.
+ * Text fields are written in UTF-8, so the CPG part is always present.
+ * @param {AsyncIterable<GeoJSON.Feature> | Iterable<GeoJSON.Feature>} features
+ * @param {string} [prjwkt] Contents of the PRJ part, written as is.
+ * @param {boolean} [withM] The last coordinate of the positions is 'M'.
+ */
+export async function writeShapefile(features, prjwkt = '', withM = false) {
+    if (!features || !(Symbol.asyncIterator in features || Symbol.iterator in features))
+        throw new TypeError('writeShapefile: first arg: iterable expected.');
+    if (prjwkt && typeof prjwkt != 'string')
+        throw new TypeError('writeShapefile: second arg: string expected.');
+    /** @type {GeoJSON.Feature[]} */
+    const list = [];
+    for await (const feature of features) {
+        if (!feature || feature.type != 'Feature')
+            throw new TypeError('writeShapefile: Feature expected.');
+        list.push(feature);
+    }
+    const type = shapeType(list, withM);
+    const fields = dbfSchema(list);
+    const extent = [Infinity, Infinity, -Infinity, -Infinity,
+        Infinity, -Infinity, Infinity, -Infinity];
+    const lengths = list.map(f => {
+        const shape = shapeOf(f.geometry, type, withM);
+        extendExtent(extent, shape);
+        return recordLength(shape, type);
+    });
+    if (!(extent[0] <= extent[2]))
+        extent.fill(0, 0, 4);
+    if (!(extent[4] <= extent[5]))
+        extent.fill(0, 4, 6);
+    if (!(extent[6] <= extent[7]))
+        extent.fill(0, 6, 8);
+    const shpsize = lengths.reduce((sum, len) => sum + 8 + len, 100);
+    const shxsize = 100 + 8 * list.length;
+    //
+    const shp = byteStream(function* () {
+        yield shpFileHeader(type, shpsize, extent);
+        for (let i = 0; i < list.length; i++) {
+            const shape = shapeOf(list[i].geometry, type, withM);
+            yield shpFileRecord(shape, type, i + 1, lengths[i]);
+        }
+    });
+    const shx = byteStream(function* () {
+        yield shpFileHeader(type, shxsize, extent);
+        let offset = 100;
+        for (const len of lengths) {
+            const bytes = new Uint8Array(8);
+            const dv = new DataView(bytes.buffer);
+            dv.setInt32(0, offset / 2);
+            dv.setInt32(4, len / 2);
+            offset += 8 + len;
+            yield bytes;
+        }
+    });
+    const dbf = byteStream(function* () {
+        yield dbfFileHeader(fields, list.length);
+        for (let i = 0; i < list.length; i++)
+            yield dbfFileRecord(fields, list[i].properties, i);
+        yield new Uint8Array([0x1a]);
+    });
+    const encoder = new TextEncoder();
+    const prj = prjwkt ? byteStream(function* () {
+        yield encoder.encode(prjwkt);
+    }) : null;
+    const cpg = byteStream(function* () {
+        yield encoder.encode('UTF-8');
+    });
+    return { shp, shx, dbf, prj, cpg };
+}
+
+/**
+ * Picks the shape type suitable for all the feature geometries.
+ * @param {GeoJSON.Feature[]} features
+ * @param {boolean} withM
+ */
+function shapeType(features, withM) {
+    let family = 0;
+    let dims = 2;
+    for (const { geometry } of features) {
+        if (!geometry)
+            continue;
+        const fam = families[geometry.type];
+        if (!fam)
+            throw new TypeError(`writeShapefile: geometry ${geometry.type} not implemented.`);
+        if (family == 0 || family == fam)
+            family = fam;
+        else if (fam + family == 9)     // Point and MultiPoint
+            family = 8;
+        else
+            throw new TypeError('writeShapefile: mixed geometry types.');
+        for (const p of positions(geometry))
+            dims = Math.max(dims, p.length);
+    }
+    if (family == 0)
+        return 0;
+    if (dims == 3 && withM)
+        return family + 20;
+    if (dims >= 3)
+        return family + 10;
+    return family;
+}
+
+/**
+ * Yields all positions of a geometry.
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {Generator<GeoJSON.Position>}
+ */
+function* positions(geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            yield geometry.coordinates;
+            break;
+        case 'MultiPoint':
+        case 'LineString':
+            yield* geometry.coordinates;
+            break;
+        case 'MultiLineString':
+        case 'Polygon':
+            for (const line of geometry.coordinates)
+                yield* line;
+            break;
+        case 'MultiPolygon':
+            for (const poly of geometry.coordinates)
+                for (const ring of poly)
+                    yield* ring;
+            break;
+    }
+}
+
+/**
+ * Converts a geometry into the list of shapefile parts
+ * with the points having x, y, z, m coordinates.
+ * Outer rings become clockwise and holes counterclockwise.
+ * @param {GeoJSON.Geometry | null} geometry
+ * @param {number} type
+ * @param {boolean} withM
+ * @returns {number[][][] | null}
+ */
+function shapeOf(geometry, type, withM) {
+    if (!geometry || type == 0)
+        return null;
+    const hasZ = type > 10 && type < 20;
+    /** @param {GeoJSON.Position} p */
+    const point = p => {
+        if (hasZ)
+            return [p[0], p[1], p[2] ?? 0, withM ? p[3] ?? 0 : 0];
+        if (type > 20)
+            return [p[0], p[1], 0, p[2] ?? 0];
+        return [p[0], p[1], 0, 0];
+    };
+    /** @param {GeoJSON.Position[]} ring @param {boolean} outer */
+    const ring = (ring, outer) => {
+        const r = ring.map(point);
+        const first = r[0], last = r[r.length - 1];
+        if (r.length > 0 && (first[0] != last[0] || first[1] != last[1]))
+            r.push(first.slice());
+        if (r.length < 4)
+            throw new TypeError('writeShapefile: polygon ring too short.');
+        // in shapefiles outer rings are clockwise, holes counterclockwise
+        if ((signedArea(r) > 0) == outer)
+            r.reverse();
+        return r;
+    };
+    /** @type {number[][][]} */
+    let parts;
+    const c = geometry.coordinates;
+    switch (geometry.type) {
+        case 'Point':
+            parts = [[point(c)]];
+            break;
+        case 'MultiPoint':
+            parts = [c.map(point)];
+            break;
+        case 'LineString':
+            parts = [c.map(point)];
+            break;
+        case 'MultiLineString':
+            parts = c.map(line => line.map(point));
+            break;
+        case 'Polygon':
+            parts = c.map((r, i) => ring(r, i == 0));
+            break;
+        case 'MultiPolygon':
+            parts = c.flatMap(poly => poly.map((r, i) => ring(r, i == 0)));
+            break;
+        default:
+            throw new TypeError(`writeShapefile: geometry ${geometry.type} not implemented.`);
+    }
+    parts = parts.filter(part => part.length > 0);
+    return parts.length > 0 ? parts : null;
+}
+
+/**
+ * Signed area of the ring, positive if counterclockwise.
+ * @param {number[][]} ring
+ */
+function signedArea(ring) {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++)
+        sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    return 0.5 * sum;
+}
+
+/**
+ * Updates the file extent: xmin, ymin, xmax, ymax, zmin, zmax, mmin, mmax.
+ * @param {number[]} extent
+ * @param {number[][][] | null} shape
+ */
+function extendExtent(extent, shape) {
+    if (!shape)
+        return;
+    for (const part of shape) {
+        for (const [x, y, z, m] of part) {
+            if (x < extent[0]) extent[0] = x;
+            if (y < extent[1]) extent[1] = y;
+            if (x > extent[2]) extent[2] = x;
+            if (y > extent[3]) extent[3] = y;
+            if (z < extent[4]) extent[4] = z;
+            if (z > extent[5]) extent[5] = z;
+            if (m < extent[6]) extent[6] = m;
+            if (m > extent[7]) extent[7] = m;
+        }
+    }
+}
+
+/**
+ * Length of the record contents in bytes.
+ * @param {number[][][] | null} shape
+ * @param {number} type
+ */
+function recordLength(shape, type) {
+    if (!shape)
+        return 4;
+    const family = type % 10;
+    const withZ = type > 10 && type < 20;
+    const withM = type > 10;
+    if (family == 1)
+        return withZ ? 36 : withM ? 28 : 20;
+    const npoints = shape.reduce((sum, part) => sum + part.length, 0);
+    let len = family == 8 ? 40 + 16 * npoints : 44 + 4 * shape.length + 16 * npoints;
+    if (withZ)
+        len += 16 + 8 * npoints;
+    if (withM)
+        len += 16 + 8 * npoints;
+    return len;
+}
+
+/**
+ * The 100 bytes header, common for SHP and SHX.
+ * @param {number} type
+ * @param {number} filesize
+ * @param {number[]} extent
+ */
+function shpFileHeader(type, filesize, extent) {
+    const bytes = new Uint8Array(100);
+    const dv = new DataView(bytes.buffer);
+    dv.setInt32(0, 9994);
+    dv.setInt32(24, filesize / 2);
+    dv.setInt32(28, 1000, true);
+    dv.setInt32(32, type, true);
+    for (let i = 0; i < 8; i++)
+        dv.setFloat64(36 + 8 * i, extent[i], true);
+    return bytes;
+}
+
+/**
+ * The record header and contents.
+ * @param {number[][][] | null} shape
+ * @param {number} type
+ * @param {number} recnum 1-based record number
+ * @param {number} length of the contents
+ */
+function shpFileRecord(shape, type, recnum, length) {
+    const bytes = new Uint8Array(8 + length);
+    const dv = new DataView(bytes.buffer);
+    dv.setInt32(0, recnum);
+    dv.setInt32(4, length / 2);
+    let pos = 8;
+    if (!shape) {
+        dv.setInt32(pos, 0, true);
+        return bytes;
+    }
+    dv.setInt32(pos, type, true);
+    pos += 4;
+    const family = type % 10;
+    const withZ = type > 10 && type < 20;
+    const withM = type > 10;
+    const put = v => {
+        dv.setFloat64(pos, v, true);
+        pos += 8;
+    };
+    if (family == 1) {
+        const [x, y, z, m] = shape[0][0];
+        put(x);
+        put(y);
+        if (withZ)
+            put(z);
+        if (withM)
+            put(m);
+        return bytes;
+    }
+    const points = shape.flat();
+    const extent = [Infinity, Infinity, -Infinity, -Infinity,
+        Infinity, -Infinity, Infinity, -Infinity];
+    extendExtent(extent, shape);
+    for (let i = 0; i < 4; i++)
+        put(extent[i]);
+    if (family != 8) {
+        dv.setInt32(pos, shape.length, true);
+        pos += 4;
+    }
+    dv.setInt32(pos, points.length, true);
+    pos += 4;
+    if (family != 8) {
+        let start = 0;
+        for (const part of shape) {
+            dv.setInt32(pos, start, true);
+            pos += 4;
+            start += part.length;
+        }
+    }
+    for (const p of points) {
+        put(p[0]);
+        put(p[1]);
+    }
+    if (withZ) {
+        put(extent[4]);
+        put(extent[5]);
+        for (const p of points)
+            put(p[2]);
+    }
+    if (withM) {
+        put(extent[6]);
+        put(extent[7]);
+        for (const p of points)
+            put(p[3]);
+    }
+    return bytes;
+}
+
+/**
+ * Infers the DBF fields from the feature properties.
+ * @param {GeoJSON.Feature[]} features
+ */
+function dbfSchema(features) {
+    const encoder = new TextEncoder();
+    /** @type {Map<string, any[]>} */
+    const values = new Map();
+    for (const { properties } of features) {
+        for (const key in properties ?? {}) {
+            const v = properties?.[key];
+            if (!values.has(key))
+                values.set(key, []);
+            if (v !== null && v !== undefined)
+                values.get(key)?.push(v);
+        }
+    }
+    const names = new Set();
+    const fields = [];
+    for (const [key, list] of values) {
+        let name = fieldName(key, encoder);
+        for (let i = 1; names.has(name.toUpperCase()); i++)
+            name = fieldName(key, encoder, `_${i}`);
+        names.add(name.toUpperCase());
+        fields.push({ key, name, ...fieldType(list, encoder) });
+    }
+    // a table without fields is not readable by many programs
+    if (fields.length == 0) {
+        const size = String(Math.max(0, features.length - 1)).length;
+        fields.push({ key: null, name: 'FID', type: 'N', size, decimals: 0 });
+    }
+    return fields;
+}
+
+/**
+ * Field name fitting into 10 bytes.
+ * @param {string} key
+ * @param {TextEncoder} encoder
+ * @param {string} [suffix]
+ */
+function fieldName(key, encoder, suffix = '') {
+    let name = key.replace(/[\0\s]/g, '_') || 'FIELD';
+    while (encoder.encode(name + suffix).length > 10)
+        name = name.slice(0, -1);
+    return name + suffix;
+}
+
+/**
+ * Field type, size and number of decimals suitable for the values.
+ * @param {any[]} list non-null values of a property
+ * @param {TextEncoder} encoder
+ */
+function fieldType(list, encoder) {
+    if (list.length == 0)
+        return { type: 'C', size: 1, decimals: 0 };
+    if (list.every(v => typeof v == 'boolean'))
+        return { type: 'L', size: 1, decimals: 0 };
+    if (list.every(v => v instanceof Date || isoDate(v)))
+        return { type: 'D', size: 8, decimals: 0 };
+    if (list.every(v => typeof v == 'number')) {
+        const finite = list.filter(v => Number.isFinite(v));
+        if (finite.every(v => Number.isInteger(v))) {
+            const size = Math.max(1, ...finite.map(v => String(v).length));
+            if (size <= 18)
+                return { type: 'N', size, decimals: 0 };
+        }
+        let intlen = 1, decimals = 0;
+        for (const v of finite) {
+            intlen = Math.max(intlen, Math.abs(v).toFixed(0).length + (v < 0 ? 1 : 0));
+            const str = String(v);
+            const dot = str.indexOf('.');
+            if (str.includes('e'))
+                decimals = 15;
+            else if (dot >= 0)
+                decimals = Math.max(decimals, str.length - dot - 1);
+        }
+        decimals = Math.min(decimals, 15, Math.max(0, 20 - intlen - 1));
+        const size = Math.min(20, intlen + (decimals > 0 ? decimals + 1 : 0));
+        return { type: 'F', size, decimals };
+    }
+    const size = Math.max(1, ...list.map(v => encoder.encode(textOf(v)).length));
+    return { type: 'C', size: Math.min(size, 254), decimals: 0 };
+}
+
+/** @param {any} v */
+function isoDate(v) {
+    return typeof v == 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+}
+
+/** @param {any} v */
+function textOf(v) {
+    return typeof v == 'object' ? JSON.stringify(v) : String(v);
+}
+
+/**
+ * @param {{name: string, type: string, size: number, decimals: number}[]} fields
+ * @param {number} numrec
+ */
+function dbfFileHeader(fields, numrec) {
+    const encoder = new TextEncoder();
+    const hdrlen = 32 + 32 * fields.length + 1;
+    const reclen = fields.reduce((sum, f) => sum + f.size, 1);
+    const bytes = new Uint8Array(hdrlen);
+    const dv = new DataView(bytes.buffer);
+    const now = new Date();
+    dv.setUint8(0, 0x03);
+    dv.setUint8(1, now.getFullYear() - 1900);
+    dv.setUint8(2, now.getMonth() + 1);
+    dv.setUint8(3, now.getDate());
+    dv.setUint32(4, numrec, true);
+    dv.setUint16(8, hdrlen, true);
+    dv.setUint16(10, reclen, true);
+    let pos = 32;
+    for (const { name, type, size, decimals } of fields) {
+        bytes.set(encoder.encode(name), pos);
+        dv.setUint8(pos + 11, type.charCodeAt(0));
+        dv.setUint8(pos + 16, size);
+        dv.setUint8(pos + 17, decimals);
+        pos += 32;
+    }
+    dv.setUint8(pos, 0x0d);
+    return bytes;
+}
+
+/**
+ * @param {{key: string | null, type: string, size: number, decimals: number}[]} fields
+ * @param {GeoJSON.GeoJsonProperties} properties
+ * @param {number} index of the record, the value of a field without key
+ */
+function dbfFileRecord(fields, properties, index) {
+    const encoder = new TextEncoder();
+    const reclen = fields.reduce((sum, f) => sum + f.size, 1);
+    const bytes = new Uint8Array(reclen).fill(0x20);
+    let pos = 1;
+    for (const { key, type, size, decimals } of fields) {
+        const v = key === null ? index : properties?.[key];
+        let str = '';
+        if (v !== null && v !== undefined) {
+            switch (type) {
+                case 'L':
+                    str = v ? 'T' : 'F';
+                    break;
+                case 'D':
+                    // the day of the Date in the local time, like DBFTransform makes it
+                    str = v instanceof Date ? String(v.getFullYear()).padStart(4, '0')
+                        + String(v.getMonth() + 1).padStart(2, '0') + String(v.getDate()).padStart(2, '0')
+                        : v.replace(/-/g, '');
+                    break;
+                case 'N':
+                case 'F':
+                    if (Number.isFinite(v)) {
+                        str = v.toFixed(decimals);
+                        if (str.length > size)
+                            str = v.toExponential(Math.max(0, size - 7));
+                        str = str.padStart(size);
+                    }
+                    break;
+                default: {
+                    let text = encoder.encode(textOf(v));
+                    if (text.length > size) {
+                        // do not cut a multibyte character
+                        let end = size;
+                        while (end > 0 && (text[end] & 0xc0) == 0x80)
+                            --end;
+                        text = text.subarray(0, end);
+                    }
+                    bytes.set(text, pos);
+                }
+            }
+            if (type != 'C')
+                bytes.set(encoder.encode(str.substring(0, size)), pos);
+        }
+        pos += size;
+    }
+    return bytes;
+}
+
+/**
+ * Makes ReadableStream of byte chunks produced by the generator,
+ * small chunks are joined together.
+ * @param {() => Generator<Uint8Array>} generator
+ */
+function byteStream(generator) {
+    /** @type {Generator<Uint8Array> | null} */
+    let gen = null;
+    return new ReadableStream({
+        pull(controller) {
+            gen ??= generator();
+            const list = [];
+            let size = 0;
+            while (size < chunkSize) {
+                const { value, done } = gen.next();
+                if (done)
+                    break;
+                list.push(value);
+                size += value.length;
+            }
+            if (size > 0) {
+                const chunk = new Uint8Array(size);
+                let pos = 0;
+                for (const bytes of list) {
+                    chunk.set(bytes, pos);
+                    pos += bytes.length;
+                }
+                controller.enqueue(chunk);
+            }
+            if (size < chunkSize)
+                controller.close();
+        }
+    });
+}
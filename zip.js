@@ -0,0 +1,242 @@
+import { readBytes, readAll, crsMember, geographic, sourceSize } from './common.js';
+import { cpgEncoding } from './encoding.js';
+import { SHPTransform, DBFTransform, stitch } from './parser.js';
+
+const chunkSize = 65536;
+
+/**
+ * Opens a zip archive containing one or more shapefiles
+ * (layers), possibly in subfolders.
+ * @param {ReadableStream | ArrayBuffer | ArrayBufferView | Blob | import('node:fs/promises').FileHandle} source
+ *  A ReadableStream is read entirely into memory.
+ * @param {object} [options]
+ * @param {string} [options.encoding] of DBF text fields, overrides the .cpg member.
+ * @param {boolean} [options.withM] Include the M coordinate.
+ * @param {GeoJSON.BBox | GeoJSON.GeoJSON} [options.filter] see SHPTransform.
+ * @param {boolean} [options.lenient] see SHPTransform.
+ * @param {Function} [options.onWarning] see SHPTransform.
+ * @param {Function} [options.onError] see SHPTransform.
+ * @param {string} [options.antimeridian] see SHPTransform.
+ * @param {string} [options.prjwkt] Source projection, overrides the .prj member.
+ * @param {string} [options.target] see SHPTransform.
+ * @param {number} [options.precision] see SHPTransform.
+ * @param {boolean} [options.quantize] see SHPTransform.
+ * @param {boolean} [options.recordId] see SHPTransform.
+ * @param {string} [options.idField] see stitch, layers without DBF are an error.
+ * @param {boolean} [options.removeIdField] see stitch.
+ * @param {string} [options.dates] see DBFTransform.
+ * @param {string} [options.numbers] see DBFTransform.
+ * @param {string} [options.deleted] see DBFTransform.
+ * @param {AbortSignal} [options.signal] see SHPTransform, cancels the reading of the layers.
+ * @param {Function} [options.onProgress] see SHPTransform, reports the reading of the SHP member.
+ */
+export async function openZip(source, options = {}) {
+    if (source instanceof ReadableStream)
+        source = await readAll(source);
+    const { encoding = '', withM = false, filter = null, antimeridian, target, precision, quantize,
+        dates, numbers, lenient = false, onWarning, onError, signal, onProgress,
+        recordId, idField, removeIdField, deleted } = options;
+    const diagnostics = { lenient, onWarning, onError };
+    if (encoding && typeof encoding != 'string')
+        throw new TypeError('openZip: encoding: string expected.');
+    if (antimeridian && !geographic(target, 'openZip'))
+        throw new TypeError('openZip: antimeridian: target in longitudes and latitudes expected.');
+    //
+    const entries = await centralDirectory(source);
+    /** @type {Map<string, Object<string, any>>} the members by the lowercase names */
+    const groups = new Map();
+    for (const entry of entries) {
+        const match = entry.name.match(/^(.*)\.(shp|shx|dbf|prj|cpg|dbt|fpt)$/i);
+        if (!match || /(^|\/)(__MACOSX\/|\._)/.test(entry.name))
+            continue;
+        const [, name, ext] = match;
+        const key = name.toLowerCase();
+        if (!groups.has(key))
+            groups.set(key, { name });
+        const group = groups.get(key);
+        group[ext.toLowerCase()] = entry;
+        // the layer is named like its .shp member
+        if (ext.toLowerCase() == 'shp')
+            group.name = name;
+    }
+    const layers = [];
+    for (const members of groups.values()) {
+        if (!members.shp)
+            continue;
+        const name = members.name;
+        const prjwkt = options.prjwkt || (members.prj ? await memberText(source, members.prj) : '');
+        let enc = encoding;
+        if (!enc && members.cpg)
+            enc = cpgEncoding(await memberText(source, members.cpg)) ?? '';
+        const memo = members.dbt ?? members.fpt;
+        /** @type {number[]} */
+        const bbox = Array(4);
+        /** @type {{shp: Promise<object> | null, dbf: Promise<object> | null}} */
+        const metadata = { shp: null, dbf: null };
+        layers.push({
+            /** path of the layer in the archive, without extension */
+            name,
+            /** filled once the SHP header is parsed */
+            bbox,
+            prjwkt,
+            encoding: enc || null,
+            /** GeoJSON "crs" member if the target projection is not WGS84 */
+            crs: crsMember(target, 'openZip'),
+            /**
+             * The metadata promises of SHPTransform and DBFTransform,
+             * set by features(), dbf stays null if there is no DBF.
+             */
+            metadata,
+            /**
+             * Returns the features of the layer.
+             * @returns {AsyncIterable<GeoJSON.Feature>}
+             */
+            features() {
+                if (idField && !members.dbf)
+                    throw new TypeError(`openZip: idField: layer ${name} has no dbf.`);
+                const shpTransform = SHPTransform(bbox, prjwkt, withM,
+                    { filter, antimeridian, target, precision, quantize, recordId, signal, onProgress,
+                        ...diagnostics });
+                metadata.shp = shpTransform.metadata;
+                const shp = memberStream(source, members.shp).pipeThrough(shpTransform);
+                if (!members.dbf)
+                    return shp;
+                const dbfTransform = DBFTransform(enc, memo ? memberStream(source, memo) : undefined,
+                    { dates, numbers, deleted, signal, ...diagnostics });
+                metadata.dbf = dbfTransform.metadata;
+                const dbf = memberStream(source, members.dbf).pipeThrough(dbfTransform);
+                return stitch(shp, dbf, { signal, idField, removeIdField, ...diagnostics });
+            }
+        });
+    }
+    return layers;
+}
+
+/**
+ * Reads the list of the archive members.
+ * @param {any} source
+ */
+async function centralDirectory(source) {
+    const size = await sourceSize(source);
+    if (size == null)
+        throw new TypeError('openZip: first arg: ReadableStream or random-access source expected.');
+    // the end of central directory record, possibly followed by a comment
+    const tail = Math.min(size, 65535 + 22);
+    const bytes = await readBytes(source, size - tail, tail);
+    const dv = new DataView(bytes);
+    let eocd = -1;
+    for (let i = tail - 22; i >= 0; i--) {
+        if (dv.getUint32(i, true) == 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0)
+        throw new TypeError('openZip: not a zip archive.');
+    let count = dv.getUint16(eocd + 10, true);
+    let cdsize = dv.getUint32(eocd + 12, true);
+    let cdoffset = dv.getUint32(eocd + 16, true);
+    if (count == 0xffff || cdoffset == 0xffffffff) {
+        // zip64 end of central directory locator precedes the record
+        if (eocd < 20 || dv.getUint32(eocd - 20, true) != 0x07064b50)
+            throw new TypeError('openZip: zip64 locator not found.');
+        const pos = Number(dv.getBigUint64(eocd - 12, true));
+        const z64 = new DataView(await readBytes(source, pos, 56));
+        if (z64.getUint32(0, true) != 0x06064b50)
+            throw new TypeError('openZip: zip64 record not found.');
+        count = Number(z64.getBigUint64(32, true));
+        cdsize = Number(z64.getBigUint64(40, true));
+        cdoffset = Number(z64.getBigUint64(48, true));
+    }
+    const cd = await readBytes(source, cdoffset, cdsize);
+    const cdv = new DataView(cd);
+    const utf8 = new TextDecoder();
+    const cp437 = new TextDecoder('latin1');
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+        if (cdv.getUint32(pos, true) != 0x02014b50)
+            throw new TypeError('openZip: central directory corrupted.');
+        const flags = cdv.getUint16(pos + 8, true);
+        const method = cdv.getUint16(pos + 10, true);
+        let compsize = cdv.getUint32(pos + 20, true);
+        let origsize = cdv.getUint32(pos + 24, true);
+        const namelen = cdv.getUint16(pos + 28, true);
+        const extralen = cdv.getUint16(pos + 30, true);
+        const commentlen = cdv.getUint16(pos + 32, true);
+        let offset = cdv.getUint32(pos + 42, true);
+        const raw = new DataView(cd, pos + 46, namelen);
+        const name = (flags & 0x0800 ? utf8 : cp437).decode(raw);
+        // zip64 extended information
+        let ext = pos + 46 + namelen;
+        const extend = ext + extralen;
+        while (ext + 4 <= extend) {
+            const id = cdv.getUint16(ext, true);
+            const len = cdv.getUint16(ext + 2, true);
+            if (id == 0x0001) {
+                let p = ext + 4;
+                if (origsize == 0xffffffff) {
+                    origsize = Number(cdv.getBigUint64(p, true));
+                    p += 8;
+                }
+                if (compsize == 0xffffffff) {
+                    compsize = Number(cdv.getBigUint64(p, true));
+                    p += 8;
+                }
+                if (offset == 0xffffffff)
+                    offset = Number(cdv.getBigUint64(p, true));
+            }
+            ext += 4 + len;
+        }
+        if (!name.endsWith('/'))
+            entries.push({ name, flags, method, compsize, origsize, offset });
+        pos = extend + commentlen;
+    }
+    return entries;
+}
+
+/**
+ * Returns ReadableStream of the member's uncompressed bytes.
+ * @param {any} source
+ * @param {{name: string, flags: number, method: number, compsize: number, offset: number}} entry
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function memberStream(source, entry) {
+    // bit 0 of the general purpose flags
+    if (entry.flags & 1)
+        throw new TypeError(`openZip: ${entry.name}: encrypted members not supported.`);
+    let pos = -1;
+    let end = 0;
+    const raw = new ReadableStream({
+        async pull(controller) {
+            if (pos < 0) {
+                const local = new DataView(await readBytes(source, entry.offset, 30));
+                if (local.getUint32(0, true) != 0x04034b50)
+                    throw new TypeError(`openZip: ${entry.name}: local header not found.`);
+                pos = entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+                end = pos + entry.compsize;
+            }
+            if (pos >= end) {
+                controller.close();
+                return;
+            }
+            const len = Math.min(chunkSize, end - pos);
+            const bytes = await readBytes(source, pos, len);
+            pos += len;
+            controller.enqueue(new Uint8Array(bytes));
+        }
+    });
+    if (entry.method == 0)
+        return raw;
+    if (entry.method != 8)
+        throw new TypeError(`openZip: ${entry.name}: compression method ${entry.method} not implemented.`);
+    return raw.pipeThrough(new DecompressionStream('deflate-raw'));
+}
+
+/**
+ * @param {any} source
+ * @param {{name: string, flags: number, method: number, compsize: number, offset: number}} entry
+ */
+async function memberText(source, entry) {
+    return new TextDecoder().decode(await readAll(memberStream(source, entry)));
+}